@@ -0,0 +1,133 @@
+// --- Results sync service ---
+// Tiny REST API so classroom devices can post finished sessions to one place on
+// the school LAN. No dependencies: node:http plus a JSON file on disk.
+//
+//   GET  /api/health                   -> { ok: true }
+//   POST /api/results  { id, result }  -> 201 { id } (200 if the id was already stored)
+//   GET  /api/results?classCode=4A     -> { results: [{ id, receivedAt, ...result }] }
+import { createServer } from "node:http";
+import { mkdir, readFile, rename, writeFile } from "node:fs/promises";
+import { dirname } from "node:path";
+
+const MAX_BODY_BYTES = 1024 * 1024;
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+const normalizeClassCode = (code) => String(code ?? "").trim().toUpperCase();
+
+async function loadRows(dataFile) {
+  try {
+    return JSON.parse(await readFile(dataFile, "utf8"));
+  } catch (e) {
+    if (e.code === "ENOENT") return [];
+    throw e;
+  }
+}
+
+// write to a temp file first so a crash never leaves half a JSON file behind
+async function saveRows(dataFile, rows) {
+  await mkdir(dirname(dataFile), { recursive: true });
+  const tmp = `${dataFile}.tmp`;
+  await writeFile(tmp, JSON.stringify(rows));
+  await rename(tmp, dataFile);
+}
+
+function readJSONBody(req) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+    req.on("data", (c) => {
+      size += c.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(new HttpError(413, "Request body too large"));
+        req.destroy();
+        return;
+      }
+      chunks.push(c);
+    });
+    req.on("end", () => {
+      try {
+        resolve(JSON.parse(Buffer.concat(chunks).toString("utf8") || "null"));
+      } catch {
+        reject(new HttpError(400, "Body must be JSON"));
+      }
+    });
+    req.on("error", reject);
+  });
+}
+
+function send(res, status, body) {
+  res.writeHead(status, {
+    "Content-Type": "application/json; charset=utf-8",
+    "Access-Control-Allow-Origin": "*",
+    "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
+    "Access-Control-Allow-Headers": "Content-Type, Authorization",
+  });
+  res.end(body == null ? "" : JSON.stringify(body));
+}
+
+// `token`, when set, must be sent as "Authorization: Bearer <token>"
+export function createSyncServer({ dataFile, token = "" } = {}) {
+  let rows = null;
+  let writing = Promise.resolve();
+
+  async function allRows() {
+    if (!rows) rows = await loadRows(dataFile);
+    return rows;
+  }
+
+  // Runs one at a time (see `writing`); the row only counts as stored once it's on
+  // disk, so a failed write leaves nothing behind for a retry to be told is saved
+  async function store(id, result) {
+    const list = await allRows();
+    // outbox retries resend the same id; storing it twice would double-count a session
+    if (list.some((r) => r.id === id)) return false;
+    const next = [...list, { ...result, id, receivedAt: new Date().toISOString() }];
+    await saveRows(dataFile, next);
+    rows = next;
+    return true;
+  }
+
+  async function handle(req, res) {
+    const url = new URL(req.url, "http://localhost");
+    if (req.method === "OPTIONS") return send(res, 204, null);
+    if (url.pathname === "/api/health" && req.method === "GET") return send(res, 200, { ok: true });
+
+    if (token && req.headers.authorization !== `Bearer ${token}`) throw new HttpError(401, "Missing or wrong token");
+
+    if (url.pathname === "/api/results" && req.method === "POST") {
+      const body = await readJSONBody(req);
+      if (!body || typeof body.id !== "string" || !body.id || typeof body.result !== "object" || !body.result) {
+        throw new HttpError(400, "Expected { id, result }");
+      }
+      // one failed write mustn't block every later one
+      const stored = writing.catch(() => {}).then(() => store(body.id, body.result));
+      writing = stored;
+      return send(res, (await stored) ? 201 : 200, { id: body.id });
+    }
+
+    if (url.pathname === "/api/results" && req.method === "GET") {
+      const classCode = normalizeClassCode(url.searchParams.get("classCode"));
+      if (!classCode) throw new HttpError(400, "classCode is required");
+      const results = (await allRows()).filter((r) => normalizeClassCode(r.classCode) === classCode);
+      return send(res, 200, { results });
+    }
+
+    throw new HttpError(404, "Not found");
+  }
+
+  return createServer((req, res) => {
+    handle(req, res).catch((e) => {
+      if (e instanceof HttpError) send(res, e.status, { error: e.message });
+      else {
+        console.error(e);
+        send(res, 500, { error: "Internal error" });
+      }
+    });
+  });
+}
@@ -0,0 +1,65 @@
+import { mkdir, mkdtemp, readFile, rm } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { createSyncServer } from "./app.js";
+
+let dir;
+let server;
+let base;
+
+async function start(dataFile) {
+  server = createSyncServer({ dataFile });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  base = `http://127.0.0.1:${server.address().port}`;
+}
+
+const post = (id, result = { name: "Sam", classCode: "4B", correct: 10 }) =>
+  fetch(`${base}/api/results`, { method: "POST", headers: { "Content-Type": "application/json" }, body: JSON.stringify({ id, result }) });
+
+const listClass = async (classCode) => (await (await fetch(`${base}/api/results?classCode=${classCode}`)).json()).results;
+
+beforeEach(async () => {
+  dir = await mkdtemp(join(tmpdir(), "multitest-sync-"));
+});
+
+afterEach(async () => {
+  await new Promise((resolve) => server.close(resolve));
+  await rm(dir, { recursive: true, force: true });
+  vi.restoreAllMocks();
+});
+
+describe("POST /api/results", () => {
+  it("stores a result on disk", async () => {
+    const dataFile = join(dir, "results.json");
+    await start(dataFile);
+    const res = await post("a1");
+    expect(res.status).toBe(201);
+    expect(await res.json()).toEqual({ id: "a1" });
+    expect(JSON.parse(await readFile(dataFile, "utf8"))).toMatchObject([{ id: "a1", name: "Sam", correct: 10 }]);
+    expect(await listClass("4b")).toHaveLength(1);
+  });
+
+  it("answers a resent id without storing it twice", async () => {
+    await start(join(dir, "results.json"));
+    expect((await post("a1")).status).toBe(201);
+    expect((await post("a1")).status).toBe(200);
+    expect(await listClass("4B")).toHaveLength(1);
+  });
+
+  it("keeps nothing from a failed write and recovers once the disk is back", async () => {
+    vi.spyOn(console, "error").mockImplementation(() => {});
+    const dataFile = join(dir, "results.json");
+    const blocked = `${dataFile}.tmp`; // a folder where the temp file is written
+    await mkdir(blocked);
+    await start(dataFile);
+
+    expect((await post("a1")).status).toBe(500);
+    expect((await post("a1")).status).toBe(500); // a retry is not told it was saved
+    expect(await listClass("4B")).toHaveLength(0);
+
+    await rm(blocked, { recursive: true });
+    expect((await post("a1")).status).toBe(201);
+    expect(await listClass("4B")).toHaveLength(1);
+  });
+});
@@ -0,0 +1,15 @@
+// Start the results sync service: `npm run server`
+//   PORT        port to listen on (default 8787)
+//   HOST        interface to bind (default 0.0.0.0 so other LAN devices can reach it)
+//   DATA_FILE   where results are kept (default server/data/results.json)
+//   SYNC_TOKEN  optional shared secret the app must send as a Bearer token
+import { fileURLToPath } from "node:url";
+import { createSyncServer } from "./app.js";
+
+const port = Number(process.env.PORT || 8787);
+const host = process.env.HOST || "0.0.0.0";
+const dataFile = process.env.DATA_FILE || fileURLToPath(new URL("./data/results.json", import.meta.url));
+
+createSyncServer({ dataFile, token: process.env.SYNC_TOKEN || "" }).listen(port, host, () => {
+  console.log(`Results sync service on http://${host}:${port} (data: ${dataFile})`);
+});
@@ -1,335 +1,420 @@
-import React, { useEffect, useMemo, useRef, useState } from "react";
-
-// --- Utility helpers ---
-const nowISO = () => new Date().toISOString();
-const clamp = (n, a, b) => Math.max(a, Math.min(n, b));
-
-function shuffle(array) {
-  const a = [...array];
-  for (let i = a.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
-    [a[i], a[j]] = [a[j], a[i]];
-  }
-  return a;
-}
-
-function sampleWithoutImmediateRepeat(prev, pool) {
-  if (!pool.length) return null;
-  const filtered = pool.filter((x) => JSON.stringify(x) !== JSON.stringify(prev));
-  const pickFrom = filtered.length ? filtered : pool; // fallback if unique not possible
-  return pickFrom[Math.floor(Math.random() * pickFrom.length)];
-}
-
-function formatMs(ms) {
-  if (ms == null) return "—"; // em dash OK in modern bundlers
-  const s = ms / 1000;
-  return s < 60 ? `${s.toFixed(1)}s` : `${Math.floor(s / 60)}:${String(Math.floor(s % 60)).padStart(2, "0")}`;
-}
-
-function toCSV(rows) {
-  // RFC-4180 style: quote any field containing comma, quote, or newline; double internal quotes
-  if (!rows?.length) return "";
-  const headers = Object.keys(rows[0]);
-  const esc = (v) => {
-    const s = String(v ?? "");
-    if (/[",\n]/.test(s)) return '"' + s.replaceAll('"', '""') + '"';
-    return s;
-  };
-  const lines = [headers.join(","), ...rows.map((r) => headers.map((h) => esc(r[h])).join(","))];
-  return lines.join("\n");
-}
-
-// --- Local persistence ---
-const STORAGE_KEY = "multitest_results_v1";
-function saveResult(result) {
-  const existing = JSON.parse(localStorage.getItem(STORAGE_KEY) || "[]");
-  existing.push(result);
-  localStorage.setItem(STORAGE_KEY, JSON.stringify(existing));
-}
-function listResults() {
-  try {
-    return JSON.parse(localStorage.getItem(STORAGE_KEY) || "[]");
-  } catch {
-    return [];
-  }
-}
-function clearResults() {
-  localStorage.removeItem(STORAGE_KEY);
+import React, { useEffect, useMemo, useReducer, useRef, useState } from "react";
+import { loadMastery, recordMastery, trickyFacts } from "./mastery.js";
+import { STRATEGIES } from "./selection.js";
+import { QUESTION_TYPES, QUESTION_TYPE_OPTIONS, formatFact, formatQuestion } from "./questionTypes.js";
+import { DEFAULT_FACTOR_A, DEFAULT_FACTOR_B, NUMBER_SETS, describeFactor, factorValues, lowestFactor, poolSize, poolSizeProblem } from "./numberSets.js";
+import { MODES, MODE_TYPES, modeLabel, modeTimeLimitMs, normalizeMode, resultModeFields } from "./modes.js";
+import { IDLE_QUIZ, QUIZ_STATUS, canPause, endsQuestion, keyFor, questionTimeRemaining, quizReducer, quizStats, timeRemaining } from "./quizEngine.js";
+import { clearSavedSession, loadSavedSession, saveSession } from "./savedSession.js";
+import { newQuestionCode, normalizeCode, seedFromCode } from "./forms.js";
+import { findAssignmentForClass, listAssignments, normalizeClassCode } from "./assignments.js";
+import { MAIN_SCOPE } from "./teacherAuth.js";
+import { flushOutbox, queueForSync, startOutbox } from "./sync.js";
+import SyncSettings from "./components/SyncSettings.jsx";
+import { ClassPins, PinConfirm, TeacherUnlock } from "./components/TeacherLock.jsx";
+import AssignmentsPanel from "./components/AssignmentsPanel.jsx";
+import RosterPanel from "./components/RosterPanel.jsx";
+import { listPupils } from "./roster.js";
+import { FactorSetPicker, ModePicker, Stat, TablePills, TogglePill } from "./components/ui.jsx";
+import { clamp, downloadText, formatMs, nowISO, toCSV } from "./utils.js";
+import { makeBackup } from "./importResults.js";
+import { StorageError, openResultsStore } from "./storage.js";
+import ImportPanel from "./components/ImportPanel.jsx";
+import AnalyticsPanel from "./components/AnalyticsPanel.jsx";
+import HintPanel from "./components/HintPanel.jsx";
+import MisconceptionsPanel from "./components/MisconceptionsPanel.jsx";
+import { misconceptionTips } from "./misconceptions.js";
+import { hasHint, makeHint } from "./hints.js";
+import ResultsTable from "./components/ResultsTable.jsx";
+import WorksheetPanel from "./components/WorksheetPanel.jsx";
+import ProgressPanel from "./components/ProgressPanel.jsx";
+import { bestRateBefore, compareWithPrevious, comparisonText, masteredTables, myResults } from "./progress.js";
+import { NO_ACHIEVEMENTS, dailyStreak, loadAchievements, recordAchievements } from "./achievements.js";
+import AchievementsPanel from "./components/AchievementsPanel.jsx";
+import BadgeList from "./components/BadgeList.jsx";
+import { WORKSHEET_SOURCES } from "./worksheet.js";
+import AccessibilityOptions from "./components/AccessibilityOptions.jsx";
+import { AnswerChoices, NumberPad } from "./components/AnswerPad.jsx";
+import { INPUT_MODES, makeChoices } from "./inputModes.js";
+import { DEFAULT_PREFS, applyTheme, loadPrefs, savePrefs, speak, spokenQuestion, timeWarning, toSpeech } from "./accessibility.js";
+import { toExportRows } from "./resultSchema.js";
+import { MTC_QUESTIONS, MTC_TABLE_WEIGHTS } from "./mtc.js";
+
+// UI copy helpers (positive tone)
+const POSITIVE_PREFIX = [
+  "Nice try!",
+  "Great thinking!",
+  "You're close!",
+  "Good effort!",
+  "Keep going!",
+];
+
+// Engine feedback ({ type, question, given }) as the sentence shown under the question
+function feedbackText(feedback, attempts) {
+  const q = feedback.question;
+  if (feedback.type === "correct") return "✅ Correct! Great work.";
+  if (feedback.type === "reveal") return `👍 Thanks for sticking with it! The answer is ${formatFact(q)}. You’ll see it again later.`;
+  if (feedback.type === "timeout") return `⏰ Time’s up! The answer is ${formatFact(q)}. You’ll see it again later.`;
+  const wrong = isNaN(feedback.given) ? "that" : feedback.given;
+  const why = q.type === QUESTION_TYPES.MULTIPLY ? `${q.a} × ${q.b} isn’t ${wrong}.` : `${wrong} doesn’t fit ${formatQuestion(q)}`;
+  return `${POSITIVE_PREFIX[attempts % POSITIVE_PREFIX.length]} ${why} Have another go!`;
 }
 
-// --- Core question generator ---
-function makeQuestionPool(tables, min = 1, max = 12) {
-  const pool = [];
-  for (const a of tables) {
-    for (let b = min; b <= max; b++) {
-      pool.push({ a, b, ans: a * b });
-    }
-  }
-  return shuffle(pool);
-}
-
-function nextQuestion(prevQ, pool) {
-  return sampleWithoutImmediateRepeat(prevQ, pool);
-}
-
-const keyFor = (q) => `${q.a}x${q.b}`;
-
-// --- Components ---
-function Stat({ label, value, sub }) {
-  return (
-    <div className="flex-1 rounded-2xl border p-4 shadow-sm">
-      <div className="text-sm opacity-70">{label}</div>
-      <div className="text-2xl font-semibold">{value}</div>
-      {sub && <div className="text-xs opacity-60 mt-1">{sub}</div>}
-    </div>
-  );
-}
-
-function TogglePill({ selected, onClick, children }) {
-  return (
-    <button
-      onClick={onClick}
-      className={`px-3 py-1 rounded-full border transition shadow-sm text-sm ${
-        selected ? "bg-black text-white border-black" : "bg-white hover:bg-gray-50"
-      }`}
-    >
-      {children}
-    </button>
-  );
-}
-
-const MODES = {
-  PRACTICE: "Practice (fixed questions)",
-  TIMED60: "Timed (60s)",
-  TIMED120: "Timed (120s)",
-};
-
 export default function App() {
-  // UI copy helpers (positive tone)
-  const POSITIVE_PREFIX = [
-    "Nice try!",
-    "Great thinking!",
-    "You're close!",
-    "Good effort!",
-    "Keep going!",
-  ];
-  const pickPositive = () => POSITIVE_PREFIX[Math.floor(Math.random() * POSITIVE_PREFIX.length)];
 
   // Auth-lite (for MVP only – not secure)
   const [name, setName] = useState("");
   const [classCode, setClassCode] = useState("");
+  const [studentId, setStudentId] = useState(""); // a roster pupil's id; "" for a typed-in name
+  const student = useMemo(() => ({ id: studentId, name, classCode }), [studentId, name, classCode]);
   const [signedIn, setSignedIn] = useState(false);
 
   // Settings
   const [selectedTables, setSelectedTables] = useState([2, 3, 4, 5]);
+  const [factorA, setFactorA] = useState(DEFAULT_FACTOR_A);
+  const [factorB, setFactorB] = useState(DEFAULT_FACTOR_B);
   const [questionsTarget, setQuestionsTarget] = useState(20);
   const [mode, setMode] = useState(MODES.PRACTICE);
-
-  // Quiz state
-  const [pool, setPool] = useState([]);
-  const [current, setCurrent] = useState(null);
-  const [prev, setPrev] = useState(null);
+  const [strategy, setStrategy] = useState(STRATEGIES.RANDOM);
+  const [questionTypes, setQuestionTypes] = useState([QUESTION_TYPES.MULTIPLY]);
+  const [assignment, setAssignment] = useState(null); // loaded from the class code at sign-in
+  const [formIndex, setFormIndex] = useState(0); // which of the assignment's forms
+  const [codeInput, setCodeInput] = useState(""); // free practice: a question code to reuse
+  const [worksheetSource, setWorksheetSource] = useState(null); // open worksheet panel's first source
+  const [showProgress, setShowProgress] = useState(false);
+  const maxTries = assignment && !assignment.retries ? 1 : 3;
+  const hintsOn = !assignment || assignment.hints !== false; // assignments saved before hints had them on
+  const achievementsOn = !assignment || assignment.achievements !== false;
+
+  // Quiz state lives in the engine (quizEngine.js); this component only drives it
+  const [quiz, dispatch] = useReducer(quizReducer, IDLE_QUIZ);
+  const { current, prev, attempts, completed, correct, fastest, slowest, attemptsOnCurrent, feedback, missedMap, events } = quiz;
+  const running = quiz.status === QUIZ_STATUS.RUNNING;
+  const finished = quiz.status === QUIZ_STATUS.FINISHED;
+  const mtcPaused = quiz.mtcPhase === "pause";
+  const paused = quiz.pausedAt != null; // practice Pause button, not the MTC gap
+  const [savedSession, setSavedSession] = useState(null); // unfinished session found at sign-in
   const [answer, setAnswer] = useState("");
-  const [startedAt, setStartedAt] = useState(null);
-  const [finishedAt, setFinishedAt] = useState(null);
-  const [attempts, setAttempts] = useState(0); // total submissions
-  const [completed, setCompleted] = useState(0); // questions completed (advance to next)
-  const [correct, setCorrect] = useState(0);
-  const [streak, setStreak] = useState(0);
-  const [fastest, setFastest] = useState(null);
-  const [slowest, setSlowest] = useState(null);
-  const [attemptsOnCurrent, setAttemptsOnCurrent] = useState(0);
-  const [feedback, setFeedback] = useState(null); // {type:'correct'|'incorrect'|'reveal', text:string}
-  // track unique facts the student has missed at least once this session
-  const [missedMap, setMissedMap] = useState({}); // key -> { a,b,ans,count,last }
-
-  // revisit logic
-  const [revisitQueue, setRevisitQueue] = useState([]); // [{a,b,ans, scheduledAt:number}]
-  const scheduledRef = useRef(new Set()); // track which keys are already scheduled once
-  const [stepCount, setStepCount] = useState(0); // increments when a question is completed
-
-  const lastSubmitTime = useRef(null);
+  const [now, setNow] = useState(Date.now);
+
+  // cross-session fact mastery for the signed-in student
+  const [mastery, setMastery] = useState({});
+  // read-aloud and theme, saved per student
+  const [prefs, setPrefs] = useState(DEFAULT_PREFS);
+  // badges and practice days, saved per student; `unlocked` are the ones this session earned
+  const [achievements, setAchievements] = useState(NO_ACHIEVEMENTS);
+  const [unlocked, setUnlocked] = useState([]);
+
   const inputRef = useRef(null);
-  const timerId = useRef(null);
-  const [timeRemaining, setTimeRemaining] = useState(0);
 
-  const isTimed = mode === MODES.TIMED60 || mode === MODES.TIMED120;
-  const totalTimeMs = mode === MODES.TIMED60 ? 60000 : mode === MODES.TIMED120 ? 120000 : 0;
+  const isTimed = modeTimeLimitMs(mode) > 0;
+  const isMTC = mode.type === MODE_TYPES.MTC;
+
+  const dueCount = Object.values(mastery).filter((m) => m.due <= Date.now()).length;
 
-  const readyToStart = signedIn && selectedTables.length > 0;
+  const lowest = lowestFactor(questionTypes);
+  const aValues = factorValues(factorA, selectedTables, lowest);
+  const bValues = factorValues(factorB, [], lowest);
+  const poolProblem = isMTC ? "" : poolSizeProblem(poolSize(aValues, bValues, questionTypes));
+  const readyToStart = signedIn && (isMTC || (aValues.length > 0 && bValues.length > 0 && questionTypes.length > 0 && !poolProblem));
 
-  function signIn() {
-    if (!name.trim()) return alert("Please enter a name");
+  // A class with a roster signs in by picking a pupil; otherwise the name is typed
+  function signIn(pupil = null) {
+    const who = pupil ?? { id: "", name: name.trim(), classCode };
+    if (!who.name) return alert("Please enter a name");
     if (!classCode.trim()) return alert("Please enter a class code");
+    setName(who.name);
+    setStudentId(who.id);
+    setMastery(loadMastery(who));
+    setPrefs(loadPrefs(who));
+    setSavedSession(loadSavedSession(who));
+    setAchievements(loadAchievements(who));
+    // a class with an active assignment gets its settings, locked
+    const asg = findAssignmentForClass(classCode);
+    setAssignment(asg);
+    setFormIndex(0);
+    if (asg) {
+      setMode(normalizeMode(asg.mode)); // assignments saved before structured modes hold a label
+      setQuestionsTarget(asg.questionsTarget);
+      setSelectedTables(asg.tables);
+      setFactorA(asg.factorA);
+      setFactorB(asg.factorB);
+      setQuestionTypes(asg.questionTypes);
+    }
     setSignedIn(true);
   }
 
+  // Hands a shared device to the next pupil; the class code stays so the roster shows
+  function signOut() {
+    dispatch({ type: "reset" });
+    setSignedIn(false);
+    setName("");
+    setStudentId("");
+    setMastery({});
+    setPrefs(DEFAULT_PREFS);
+    setAchievements(NO_ACHIEVEMENTS);
+    setSavedSession(null);
+    setShowProgress(false);
+    setWorksheetSource(null);
+  }
+
+  function toggleQuestionTypes(types) {
+    setQuestionTypes((prev) =>
+      prev.includes(types[0]) ? prev.filter((x) => !types.includes(x)) : [...prev, ...types]
+    );
+  }
+
   function toggleTable(t) {
     setSelectedTables((prev) => (prev.includes(t) ? prev.filter((x) => x !== t) : [...prev, t].sort((a, b) => a - b)));
   }
 
   function start() {
-    const p = makeQuestionPool(selectedTables);
-    setPool(p);
-    const q = nextQuestion(null, p);
-    setCurrent(q);
-    setPrev(null);
-    setAnswer("");
-    setStartedAt(Date.now());
-    setFinishedAt(null);
-    setAttempts(0);
-    setCompleted(0);
-    setCorrect(0);
-    setStreak(0);
-    setFastest(null);
-    setSlowest(null);
-    setAttemptsOnCurrent(0);
-    setFeedback(null);
-    setRevisitQueue([]);
-    scheduledRef.current = new Set();
-    setStepCount(0);
-    lastSubmitTime.current = Date.now();
-    if (isTimed) {
-      setTimeRemaining(totalTimeMs);
-      if (timerId.current) clearInterval(timerId.current);
-      timerId.current = setInterval(() => {
-        setTimeRemaining((t) => {
-          const nt = t - 100;
-          if (nt <= 0) {
-            clearInterval(timerId.current);
-            finish();
-            return 0;
-          }
-          return nt;
-        });
-      }, 100);
-    }
-    setTimeout(() => inputRef.current?.focus(), 0);
+    // A form or typed code must give everyone the same questions, so it skips the
+    // per-student parts: due-fact boosting and adaptive order. Otherwise a fresh code.
+    const form = assignment?.forms?.length ? assignment.forms[formIndex] ?? assignment.forms[0] : null;
+    const chosen = form?.code || normalizeCode(codeInput);
+    const seedCode = chosen || newQuestionCode();
+    setWorksheetSource(null);
+    setShowProgress(false);
+    setSavedSession(null); // starting afresh replaces it
+    dispatch({
+      type: "start",
+      now: Date.now(),
+      config: {
+        mode,
+        strategy: chosen ? STRATEGIES.RANDOM : strategy,
+        questionsTarget,
+        maxTries,
+        hints: hintsOn,
+        seed: seedFromCode(seedCode),
+        seedCode,
+        form: form?.label ?? "",
+        inputMode: prefs.inputMode,
+        aValues,
+        bValues,
+        questionTypes,
+        mastery: chosen ? null : mastery,
+      },
+    });
   }
 
   function finish() {
-    if (finishedAt) return; // avoid double finish
-    setFinishedAt(Date.now());
-    if (timerId.current) clearInterval(timerId.current);
+    dispatch({ type: "finish", now: Date.now() });
   }
 
-  function pickNext(prevQ) {
-    // Allow a short cool-down before serving a revisit: at least 2 other questions
-    const eligible = revisitQueue.filter((it) => stepCount - it.scheduledAt >= 2);
-    let next = null;
-    if (eligible.length > 0 && (Math.random() < 0.6 || pool.length === 0)) {
-      const idx = Math.floor(Math.random() * eligible.length);
-      const item = eligible[idx];
-      next = { ...item, fromRevisit: true };
-      // remove this specific scheduled item using functional state & key match
-      setRevisitQueue((q) => q.filter((x) => !(keyFor(x) === keyFor(item) && x.scheduledAt === item.scheduledAt)));
-      // we only ask later once
-      scheduledRef.current.delete(keyFor(item));
-    } else {
-      next = nextQuestion(prevQ, pool);
-    }
-    return next;
+  // --- Unfinished sessions: saved on every change, offered again at sign-in ---
+  function resumeSaved() {
+    const { quiz: saved, savedAt, settings } = savedSession;
+    setMode(normalizeMode(settings.mode));
+    setSelectedTables(settings.selectedTables);
+    setFactorA(settings.factorA);
+    setFactorB(settings.factorB);
+    setQuestionsTarget(settings.questionsTarget);
+    setQuestionTypes(settings.questionTypes);
+    setAssignment(settings.assignment);
+    recordedEvents.current = saved.events.length; // already in mastery
+    setSavedSession(null);
+    dispatch({ type: "restore", saved, savedAt, now: Date.now() });
   }
 
-  function scheduleRevisitIfNeeded(q) {
-    const k = keyFor(q);
-    if (!q.fromRevisit && !scheduledRef.current.has(k)) {
-      scheduledRef.current.add(k);
-      setRevisitQueue((lst) => [...lst, { ...q, scheduledAt: stepCount }]);
-    }
+  function discardSaved() {
+    clearSavedSession(student);
+    setSavedSession(null);
   }
 
-  function advance(afterQuestion) {
-    // Called when a question is completed (correct OR reveal after 3 tries)
-    setStepCount((s) => s + 1);
-    setCompleted((c) => c + 1);
-
-    const nextCompleted = completed + 1;
-    if (!isTimed && nextCompleted >= questionsTarget) {
-      finish();
-      return;
+  useEffect(() => {
+    if (!signedIn) return;
+    if (quiz.status === QUIZ_STATUS.RUNNING) {
+      const settings = { mode, selectedTables, factorA, factorB, questionsTarget, questionTypes, assignment };
+      saveSession(student, quiz, settings);
     }
+    // a finished session stays saved until its result is stored (see saveResult)
+  }, [quiz, signedIn, student, mode, selectedTables, factorA, factorB, questionsTarget, questionTypes, assignment]);
 
-    const next = pickNext(afterQuestion);
-    setPrev(afterQuestion);
-    setCurrent(next);
+  // practice pauses itself when the tab is hidden or the tablet sleeps
+  useEffect(() => {
+    if (!running) return;
+    const onHide = () => document.hidden && dispatch({ type: "pause", now: Date.now() });
+    document.addEventListener("visibilitychange", onHide);
+    return () => document.removeEventListener("visibilitychange", onHide);
+  }, [running]);
+
+  function submit(value = answer) {
+    if (!running) return;
+    dispatch({ type: "submit", answer: value, now: Date.now() });
     setAnswer("");
-    setAttemptsOnCurrent(0);
-    setTimeout(() => inputRef.current?.focus(), 0);
+    inputRef.current?.focus();
   }
 
-  function submit() {
-    if (!current) return;
-    if (!startedAt) return;
-    const ansNum = Number(answer);
-    const thisSubmit = Date.now();
-    const delta = thisSubmit - (lastSubmitTime.current ?? thisSubmit);
-    lastSubmitTime.current = thisSubmit;
-
-    const isCorrect = ansNum === current.ans;
-
-    // global stats
-    setAttempts((a) => a + 1);
-    setCorrect((c) => c + (isCorrect ? 1 : 0));
-    setStreak((s) => (isCorrect ? s + 1 : 0));
-    setFastest((f) => (f == null ? delta : Math.min(f, delta)));
-    setSlowest((s) => (s == null ? delta : Math.max(s, delta)));
-
-    if (isCorrect) {
-      setFeedback({ type: "correct", text: "✅ Correct! Great work." });
-      advance(current);
-      return;
-    }
-
-    // incorrect path
-    const newCount = attemptsOnCurrent + 1;
-    setAttemptsOnCurrent(newCount);
-
-    // record the miss (unique fact list w/ counts)
-    setMissedMap((m) => {
-      const k = keyFor(current);
-      const entry = m[k] || { a: current.a, b: current.b, ans: current.ans, count: 0, last: null };
-      return { ...m, [k]: { ...entry, count: entry.count + 1, last: ansNum } };
-    });
+  // --- Answer input: typed, on-screen number pad, or four choices ---
+  const inputMode = quiz.config?.inputMode ?? INPUT_MODES.KEYBOARD;
+  const choices = useMemo(
+    () => (current && quiz.config?.inputMode === INPUT_MODES.CHOICE ? makeChoices(current, quiz.config.seed) : []),
+    [current, quiz.config]
+  );
+  // options already tried on this question are greyed out
+  const ruledOut = attemptsOnCurrent ? events.slice(-attemptsOnCurrent).map((e) => Number(e.given)) : [];
 
-    // schedule a later revisit once, as soon as the first mistake happens
-    if (newCount === 1) scheduleRevisitIfNeeded(current);
+  // the engine has no clock of its own, so tick it while a session runs
+  useEffect(() => {
+    if (!running) return;
+    const id = setInterval(() => {
+      const t = Date.now();
+      setNow(t);
+      dispatch({ type: "tick", now: t });
+    }, 100);
+    return () => clearInterval(id);
+  }, [running]);
+
+  // a new question (or an MTC timeout, or coming back from a pause) starts with an empty box
+  useEffect(() => {
+    setAnswer("");
+    inputRef.current?.focus();
+  }, [current, quiz.mtcPhase, paused]);
 
-    if (newCount < 3) {
-      setFeedback({ type: "incorrect", text: `${pickPositive()} ${current.a} × ${current.b} isn’t ${isNaN(ansNum) ? 'that' : ansNum}. Have another go!` });
-      setAnswer("");
-      inputRef.current?.focus();
-      return; // keep same question
+  // record mastery as each question ends; a fact is only "known" if it was right first time
+  const recordedEvents = useRef(0);
+  useEffect(() => {
+    if (events.length < recordedEvents.current) recordedEvents.current = 0; // a new session
+    const fresh = events.slice(recordedEvents.current);
+    recordedEvents.current = events.length;
+    let facts = null;
+    for (const e of fresh) {
+      if (endsQuestion(e, quiz.config.maxTries)) facts = recordMastery(student, e, e.correct && e.attempt === 1);
     }
-
-    // Reached 3 tries → reveal and move on
-    setFeedback({ type: "reveal", text: `👍 Thanks for sticking with it! The answer is ${current.a} × ${current.b} = ${current.ans}. You’ll see it again later.` });
-    advance(current);
-  }
+    if (facts) setMastery(facts);
+  }, [events, quiz.config, student]);
 
   useEffect(() => {
     function onKey(e) {
+      if (inputMode === INPUT_MODES.CHOICE) {
+        // keys 1–4 pick an option; Enter has nothing to submit
+        const c = choices[Number(e.key) - 1];
+        if (c != null && !ruledOut.includes(c) && !mtcPaused && !paused) submit(String(c));
+        return;
+      }
       if (e.key === "Enter") submit();
+      // the pad's box is read-only so a tablet keyboard stays down; real keys still type
+      else if (running && inputMode === INPUT_MODES.NUMPAD && !mtcPaused && !paused) {
+        if (/^[0-9]$/.test(e.key)) setAnswer((a) => a + e.key);
+        else if (e.key === "Backspace") setAnswer((a) => a.slice(0, -1));
+      }
     }
     window.addEventListener("keydown", onKey);
     return () => window.removeEventListener("keydown", onKey);
   });
 
+  function updatePrefs(next) {
+    setPrefs(next);
+    savePrefs(student, next);
+  }
+
+  useEffect(() => applyTheme(prefs), [prefs]);
+
   // Derived stats
-  const durationMs = finishedAt && startedAt ? finishedAt - startedAt : startedAt ? Date.now() - startedAt : 0;
-  const accuracy = attempts ? Math.round((100 * correct) / attempts) : 0;
-  const qPerMin = durationMs ? ((attempts / durationMs) * 60000).toFixed(1) : "0.0";
+  const { durationMs, accuracy, qPerMin } = quizStats(quiz, now);
+  const timeLeft = timeRemaining(quiz, now);
+  const questionLeft = running && !paused ? questionTimeRemaining(quiz, now) : null;
+  const timedOutEvents = events.filter((e) => e.timedOut);
+  const hintedCorrect = events.filter((e) => e.correct && e.hinted).length;
+  const hint = running && !paused && quiz.hintShown && current ? makeHint(current) : null;
+  const tips = finished ? misconceptionTips(events) : [];
+
+  // --- Announcements: live regions for screen readers, speech when switched on ---
+  const spokenPrompt =
+    running && current && !mtcPaused && !paused
+      ? `Question ${completed + 1}: ${spokenQuestion(current)}${choices.length ? `. Choices: ${choices.join(", ")}` : ""}`
+      : "";
+  const spokenFeedback = !isMTC && feedback ? toSpeech(`${feedbackText(feedback, attempts)}${hint ? ` Hint: ${hint.text}` : ""}`) : "";
+
+  // feedback on the last answer, then the question now showing
+  useEffect(() => {
+    if (prefs.speak && spokenPrompt) speak(`${spokenFeedback} ${spokenPrompt}`);
+  }, [prefs.speak, spokenPrompt, spokenFeedback, events.length]);
+
+  const [timeAlert, setTimeAlert] = useState("");
+  const lastWarning = useRef(null);
+  useEffect(() => {
+    if (!running || isMTC || timeLeft == null) {
+      lastWarning.current = null;
+      return;
+    }
+    const ms = timeWarning(timeLeft, lastWarning.current);
+    if (ms == null) return;
+    lastWarning.current = ms;
+    const text = `${ms / 1000} seconds left`;
+    setTimeAlert(text);
+    if (prefs.speak) speak(text);
+  }, [running, isMTC, timeLeft, prefs.speak]);
+
+  // background sync of queued results: { sent, pending, error }
+  const [syncStatus, setSyncStatus] = useState(null);
+  useEffect(() => startOutbox(setSyncStatus), []);
+
+  // --- Results storage (see storage.js); the store opens asynchronously ---
+  const storeRef = useRef(null);
+  const [storedResults, setStoredResults] = useState([]);
+  const [storageError, setStorageError] = useState(null); // user-facing message
+
+  // Unexpected failures (e.g. a DataCloneError from IndexedDB) still reach the user as a message
+  function reportStorageError(e) {
+    const error = e instanceof StorageError ? e : new StorageError("unavailable", "Results storage isn’t working on this device. Try reloading the page.", e);
+    setStorageError(error.message);
+  }
+
+  async function reloadResults() {
+    setStoredResults(await storeRef.current.list());
+  }
+
+  useEffect(() => {
+    openResultsStore()
+      .then(({ store, problems }) => {
+        storeRef.current = store;
+        if (problems.length) setStorageError(problems.map((p) => p.message).join(" "));
+        return store.list();
+      })
+      .then(setStoredResults)
+      .catch(reportStorageError);
+  }, []);
+
+  // Any failure here keeps the unfinished-session copy, so the student can resume and finish again
+  function saveResult(result) {
+    const kept = (why) => {
+      setSavedSession(loadSavedSession(student));
+      setStorageError(`${why} It’s kept on this device – choose Resume and finish it again to retry.`);
+    };
+    if (!storeRef.current) return kept("Results storage isn’t ready, so this session couldn’t be saved.");
+    storeRef.current.add(result).then(
+      () => {
+        clearSavedSession(student);
+        // local copy first; the outbox only exists when a sync server is configured
+        const queueError = queueForSync(result);
+        flushOutbox().then((status) => setSyncStatus(queueError ? { ...status, error: queueError } : status));
+        reloadResults().catch(reportStorageError);
+      },
+      // anything, e.g. a DataCloneError from IndexedDB, not just a StorageError
+      (e) => kept(e instanceof StorageError ? e.message : "This session couldn’t be saved.")
+    );
+  }
 
-  // Save result when finishedAt is set
+  // Save result when the session finishes
   useEffect(() => {
-    if (finishedAt && startedAt) {
+    if (finished) {
       const result = {
         timestamp: nowISO(),
         name,
-        classCode,
-        mode,
-        selectedTables: selectedTables.join(" "),
-        questionsTarget,
+        classCode: normalizeClassCode(classCode), // as the roster stores it, so " 4b" and "4B" are one class
+        studentId,
+        assignmentId: assignment?.id ?? "",
+        form: quiz.config.form,
+        seedCode: quiz.config.seedCode,
+        inputMode: quiz.config.inputMode,
+        ...resultModeFields(mode),
+        strategy: quiz.config.strategy,
+        questionTypes: (isMTC ? [QUESTION_TYPES.MULTIPLY] : questionTypes).join(" "),
+        factorA: isMTC ? `tables ${Object.keys(MTC_TABLE_WEIGHTS).join(" ")}` : describeFactor(factorA, selectedTables),
+        factorB: isMTC ? "range 2-12" : describeFactor(factorB),
+        questionsTarget: isMTC ? MTC_QUESTIONS : questionsTarget,
         attempts,
         completed,
         correct,
@@ -338,37 +423,49 @@ export default function App() {
         qPerMin,
         fastestMs: fastest ?? "",
         slowestMs: slowest ?? "",
+        events,
       };
       saveResult(result);
+      if (achievementsOn) {
+        const { record, unlocked: earned } = recordAchievements(student, {
+          events,
+          attempts,
+          qPerMin,
+          bestRate: isMTC ? null : bestRateBefore(myHistory, mode, quiz.startedAt), // MTC sets its own pace
+          mastered: masteredTables(loadMastery(student)), // the store is ahead of `mastery` state here
+        });
+        setAchievements(record);
+        setUnlocked(earned);
+      } else setUnlocked([]);
     }
-  }, [finishedAt]);
-
-  const results = listResults();
+  }, [quiz.finishedAt]);
+
+  // Teacher access: null while locked, MAIN_SCOPE for the main PIN, or a class code
+  const [teacherScope, setTeacherScope] = useState(null);
+  const [showTeacherLock, setShowTeacherLock] = useState(false);
+  const [confirmingClear, setConfirmingClear] = useState(false);
+  const showTeacher = teacherScope != null;
+
+  // the signed-in student's own sessions, for "My progress" and the summary
+  const myHistory = useMemo(() => (signedIn ? myResults(storedResults, student) : []), [signedIn, storedResults, student]);
+  const lastTime = finished ? compareWithPrevious(myHistory, mode, quiz.startedAt) : null;
+
+  const allResults =
+    teacherScope && teacherScope !== MAIN_SCOPE
+      ? storedResults.filter((r) => normalizeClassCode(String(r.classCode ?? "")) === teacherScope)
+      : storedResults;
+  const [assignmentFilter, setAssignmentFilter] = useState(""); // "" = all, "none" = free practice
+  const [assignmentOptions, setAssignmentOptions] = useState(listAssignments);
+  const results = assignmentFilter
+    ? allResults.filter((r) => (r.assignmentId || "none") === assignmentFilter)
+    : allResults;
 
-  const [showTeacher, setShowTeacher] = useState(false);
   function tryOpenTeacher() {
-    if (classCode.trim().toUpperCase() === "TEACHER123") setShowTeacher(true);
-    else alert("Teacher panel locked. Use demo code TEACHER123.");
+    if (!showTeacher) setShowTeacherLock(true);
   }
 
-  const teacherCSV = useMemo(() => toCSV(results), [results]);
-
-  // --- Dev Tests (lightweight) ---
-  function runToCSVTests() {
-    const cases = [
-      { name: "Empty rows", rows: [], expect: "" },
-      { name: "Simple no quotes", rows: [{ a: 1, b: 2 }], expect: "a,b\n1,2" },
-      { name: "Comma in field", rows: [{ a: "1,2", b: "x" }], expect: 'a,b\n"1,2",x' },
-      { name: "Quote in field", rows: [{ a: 'He said "hi"', b: 3 }], expect: 'a,b\n"He said ""hi""",3' },
-      { name: "Newline in field", rows: [{ a: "line1\nline2", b: "z" }], expect: 'a,b\n"line1\nline2",z' },
-      { name: "Nulls/undefined", rows: [{ a: null, b: undefined }], expect: "a,b\n," },
-      { name: "Comma+quote+newline", rows: [{ a: 'x,"y"\nZ', b: 'w' }], expect: 'a,b\n"x,""y""\nZ",w' },
-      { name: "Unicode emoji & math", rows: [{ a: "👍", b: "7 × 8" }], expect: 'a,b\n👍,"7 × 8"' },
-    ];
-    return cases.map((c) => ({ name: c.name, pass: toCSV(c.rows) === c.expect, got: toCSV(c.rows), expect: c.expect }));
-  }
-
-  const csvTestResults = runToCSVTests();
+  // a class with a roster picks names instead of typing them
+  const classPupils = !signedIn && classCode.trim() ? listPupils(classCode) : [];
 
   return (
     <div className="min-h-screen bg-gray-50 text-gray-900">
@@ -379,91 +476,264 @@ export default function App() {
             {!signedIn ? (
               <></>
             ) : (
-              <span className="text-sm opacity-70">Signed in as <b>{name}</b> · Class <b>{classCode}</b></span>
+              <>
+                <span className="text-sm opacity-70">Signed in as <b>{name}</b> · Class <b>{classCode}</b></span>
+                {!running && (
+                  <button onClick={signOut} className="text-sm underline">
+                    Switch student
+                  </button>
+                )}
+              </>
             )}
           </div>
         </header>
 
+        {storageError && (
+          <div role="alert" className="mt-4 flex items-start justify-between gap-3 rounded-xl border border-rose-200 bg-rose-50 p-3 text-sm text-rose-800">
+            <span>{storageError}</span>
+            <button className="underline" onClick={() => setStorageError(null)}>
+              Dismiss
+            </button>
+          </div>
+        )}
+
         {/* Sign in card */}
         {!signedIn && (
           <div className="mt-6 grid md:grid-cols-3 gap-3 rounded-2xl border bg-white p-4 shadow-sm">
             <div className="md:col-span-3 text-lg font-semibold">Quick sign-in</div>
+            {!classPupils.length && (
+              <input
+                className="rounded-xl border p-3"
+                aria-label="Student name"
+                placeholder="Student name"
+                value={name}
+                onChange={(e) => setName(e.target.value)}
+              />
+            )}
             <input
               className="rounded-xl border p-3"
-              placeholder="Student name"
-              value={name}
-              onChange={(e) => setName(e.target.value)}
-            />
-            <input
-              className="rounded-xl border p-3"
-              placeholder="Class code (e.g. 4A or TEACHER123)"
+              aria-label="Class code"
+              placeholder="Class code (e.g. 4A)"
               value={classCode}
               onChange={(e) => setClassCode(e.target.value)}
             />
-            <button onClick={signIn} className="rounded-xl border p-3 font-semibold hover:bg-gray-50">
-              Enter
-            </button>
+            {classPupils.length ? (
+              <div className="md:col-span-3">
+                <div className="text-sm font-semibold mb-2">Tap your name</div>
+                <div className="grid grid-cols-2 md:grid-cols-4 gap-2">
+                  {classPupils.map((p) => (
+                    <button key={p.id} onClick={() => signIn(p)} className="flex items-center gap-2 rounded-2xl border p-3 text-left font-semibold hover:bg-gray-50">
+                      <span className="text-3xl" aria-hidden="true">
+                        {p.avatar}
+                      </span>
+                      {p.name}
+                    </button>
+                  ))}
+                </div>
+              </div>
+            ) : (
+              <button onClick={() => signIn()} className="rounded-xl border p-3 font-semibold hover:bg-gray-50">
+                Enter
+              </button>
+            )}
             <div className="md:col-span-3 text-sm opacity-70">
-              This MVP uses local save only. No passwords, no server yet.
+              This MVP uses local save only. No passwords, no server yet.{" "}
+              <button className="underline" onClick={tryOpenTeacher}>
+                Teacher?
+              </button>
             </div>
           </div>
         )}
 
+        {showTeacherLock && !showTeacher && (
+          <TeacherUnlock
+            onUnlock={(scope) => {
+              setTeacherScope(scope);
+              setShowTeacherLock(false);
+            }}
+            onCancel={() => setShowTeacherLock(false)}
+          />
+        )}
+
         {/* Settings */}
-        {signedIn && !startedAt && (
+        {signedIn && quiz.status === QUIZ_STATUS.IDLE && (
           <div className="mt-6 grid gap-4">
-            <div className="rounded-2xl border bg-white p-4 shadow-sm">
-              <div className="flex items-center justify-between gap-2 mb-3">
-                <div className="text-lg font-semibold">Choose tables</div>
-                <div className="flex gap-2">
-                  <button
-                    className="text-sm underline"
-                    onClick={() => setSelectedTables([1,2,3,4,5,6,7,8,9,10,11,12])}
-                  >
-                    Select all
+            {savedSession && (
+              <div className="rounded-2xl border border-amber-300 bg-amber-50 p-4 shadow-sm">
+                <div className="text-lg font-semibold">You have an unfinished session</div>
+                <div className="text-sm opacity-80">
+                  {modeLabel(normalizeMode(savedSession.settings.mode))} from {new Date(savedSession.savedAt).toLocaleString()}: {savedSession.quiz.completed} questions done,{" "}
+                  {savedSession.quiz.correct} right.
+                  {savedSession.quiz.endsAt != null && " Timed sessions keep their clock running while you’re away."}
+                </div>
+                <div className="mt-3 flex gap-2">
+                  <button onClick={resumeSaved} className="rounded-xl border px-4 py-2 text-sm font-semibold bg-black text-white">
+                    Resume
                   </button>
-                  <button className="text-sm underline" onClick={() => setSelectedTables([])}>
-                    Clear
+                  <button onClick={discardSaved} className="rounded-xl border px-4 py-2 text-sm bg-white hover:bg-gray-50">
+                    Discard
                   </button>
                 </div>
               </div>
+            )}
+            {assignment ? (
+              <div className="rounded-2xl border bg-white p-4 shadow-sm">
+                <div className="text-lg font-semibold">{assignment.name}</div>
+                <div className="text-sm opacity-70">Set by your teacher for class {assignment.classCode}.</div>
+                <div className="mt-3 flex flex-wrap gap-2 text-sm">
+                  <span className="px-3 py-1 rounded-full border">{modeLabel(mode)}</span>
+                  {!isMTC && (
+                    <>
+                      <span className="px-3 py-1 rounded-full border">
+                        {describeFactor(factorA, selectedTables)} × {describeFactor(factorB)}
+                      </span>
+                      {!isTimed && <span className="px-3 py-1 rounded-full border">{questionsTarget} questions</span>}
+                      <span className="px-3 py-1 rounded-full border">{maxTries === 1 ? "One try each" : `${maxTries} tries each`}</span>
+                    </>
+                  )}
+                </div>
+                {assignment.forms?.length > 1 && (
+                  <div className="mt-3">
+                    <div className="text-sm font-semibold mb-2">Which form did your teacher give you?</div>
+                    <div className="flex flex-wrap gap-2">
+                      {assignment.forms.map((f, i) => (
+                        <TogglePill key={f.label} selected={formIndex === i} onClick={() => setFormIndex(i)}>
+                          {f.label}
+                        </TogglePill>
+                      ))}
+                    </div>
+                  </div>
+                )}
+              </div>
+            ) : (
+              <>
+                <div className="rounded-2xl border bg-white p-4 shadow-sm">
+                  <div className="flex items-center justify-between gap-2 mb-3">
+                    <div className="text-lg font-semibold">Choose numbers</div>
+                    {factorA.set === NUMBER_SETS.TABLES && (
+                    <div className="flex gap-2">
+                      <button
+                        className="text-sm underline"
+                        onClick={() => setSelectedTables([1,2,3,4,5,6,7,8,9,10,11,12])}
+                      >
+                        Select all
+                      </button>
+                      <button className="text-sm underline" onClick={() => setSelectedTables([])}>
+                        Clear
+                      </button>
+                    </div>
+                    )}
+                  </div>
+                  {!isMTC && (
+                    <div className="mb-3">
+                      <FactorSetPicker label="First number" factor={factorA} onChange={setFactorA} sets={Object.values(NUMBER_SETS)} lowest={lowest} />
+                    </div>
+                  )}
+                  {factorA.set === NUMBER_SETS.TABLES && (
+                    <TablePills selected={selectedTables} onToggle={toggleTable} />
+                  )}
+                  {!isMTC && (
+                    <div className="mt-3">
+                      <FactorSetPicker
+                        label="Second number"
+                        factor={factorB}
+                        onChange={setFactorB}
+                        sets={Object.values(NUMBER_SETS).filter((set) => set !== NUMBER_SETS.TABLES)}
+                        lowest={lowest}
+                      />
+                    </div>
+                  )}
+                  {poolProblem && (
+                    <div role="alert" className="mt-3 text-sm text-rose-700">
+                      {poolProblem}
+                    </div>
+                  )}
+                  {dueCount > 0 && (
+                    <div className="mt-3 text-sm opacity-70">
+                      {dueCount} fact{dueCount === 1 ? "" : "s"} due for review – they’ll come up more often.
+                    </div>
+                  )}
+                </div>
+
+                {!isMTC && (
+                  <div className="rounded-2xl border bg-white p-4 shadow-sm">
+                    <div className="text-lg font-semibold mb-3">Question types</div>
+                    <div className="flex flex-wrap gap-2">
+                      {QUESTION_TYPE_OPTIONS.map((opt) => (
+                        <TogglePill
+                          key={opt.label}
+                          selected={questionTypes.includes(opt.types[0])}
+                          onClick={() => toggleQuestionTypes(opt.types)}
+                        >
+                          {opt.label}
+                        </TogglePill>
+                      ))}
+                    </div>
+                    <div className="mt-1 text-xs opacity-60">Pick more than one for a mixed set.</div>
+                  </div>
+                )}
+
+                <div className="rounded-2xl border bg-white p-4 shadow-sm grid md:grid-cols-3 gap-3 items-center">
+                  <div className="md:col-span-2">
+                    <div className="text-lg font-semibold mb-2">Mode</div>
+                    <ModePicker mode={mode} onChange={setMode} />
+                    {isMTC && (
+                      <div className="mt-1 text-xs opacity-60">
+                        25 questions from ×2 to ×12, 6 seconds each with a 3 second pause, no feedback or second tries – like the real check.
+                      </div>
+                    )}
+                    <div className="text-lg font-semibold mt-4 mb-2">Question order</div>
+                    <div className="flex flex-wrap gap-2">
+                      {Object.entries(STRATEGIES).map(([key, label]) => (
+                        <TogglePill key={key} selected={strategy === label} onClick={() => setStrategy(label)}>
+                          {label}
+                        </TogglePill>
+                      ))}
+                    </div>
+                    <div className="mt-1 text-xs opacity-60">
+                      Adaptive brings back missed and slow facts more often and shows quick, known facts less.
+                    </div>
+                    <label htmlFor="question-code" className="block text-lg font-semibold mt-4 mb-2">Question code</label>
+                    <input
+                      id="question-code"
+                      className="w-40 rounded-xl border p-2 uppercase"
+                      placeholder="Optional"
+                      value={codeInput}
+                      onChange={(e) => setCodeInput(e.target.value)}
+                    />
+                    <div className="mt-1 text-xs opacity-60">
+                      Type a code from your teacher or a friend to get the same questions in the same order. Codes use random order and don’t boost due facts.
+                    </div>
+                  </div>
+                  {!isTimed && !isMTC && (
+                    <div className="md:justify-self-end">
+                      <label className="text-sm opacity-70">Questions</label>
+                      <input
+                        type="number"
+                        className="block w-28 rounded-xl border p-2"
+                        min={5}
+                        max={200}
+                        value={questionsTarget}
+                        onChange={(e) => setQuestionsTarget(clamp(parseInt(e.target.value || "0", 10), 5, 200))}
+                      />
+                    </div>
+                  )}
+                </div>
+              </>
+            )}
+
+            <div className="rounded-2xl border bg-white p-4 shadow-sm">
+              <div className="text-lg font-semibold mb-2">Answer with</div>
               <div className="flex flex-wrap gap-2">
-                {Array.from({ length: 12 }, (_, i) => i + 1).map((t) => (
-                  <TogglePill key={t} selected={selectedTables.includes(t)} onClick={() => toggleTable(t)}>
-                    ×{t}
+                {Object.values(INPUT_MODES).map((m) => (
+                  <TogglePill key={m} selected={prefs.inputMode === m} onClick={() => updatePrefs({ ...prefs, inputMode: m })}>
+                    {m}
                   </TogglePill>
                 ))}
               </div>
             </div>
 
-            <div className="rounded-2xl border bg-white p-4 shadow-sm grid md:grid-cols-3 gap-3 items-center">
-              <div className="md:col-span-2">
-                <div className="text-lg font-semibold mb-2">Mode</div>
-                <div className="flex flex-wrap gap-2">
-                  {Object.entries(MODES).map(([key, label]) => (
-                    <TogglePill key={key} selected={mode === label} onClick={() => setMode(label)}>
-                      {label}
-                    </TogglePill>
-                  ))}
-                  <TogglePill selected={!isTimed && mode === MODES.PRACTICE} onClick={() => setMode(MODES.PRACTICE)}>
-                    {MODES.PRACTICE}
-                  </TogglePill>
-                </div>
-              </div>
-              {!isTimed && (
-                <div className="md:justify-self-end">
-                  <label className="text-sm opacity-70">Questions</label>
-                  <input
-                    type="number"
-                    className="block w-28 rounded-xl border p-2"
-                    min={5}
-                    max={200}
-                    value={questionsTarget}
-                    onChange={(e) => setQuestionsTarget(clamp(parseInt(e.target.value || "0", 10), 5, 200))}
-                  />
-                </div>
-              )}
-            </div>
+            <AccessibilityOptions prefs={prefs} onChange={updatePrefs} />
 
             <div className="flex gap-3">
               <button
@@ -482,65 +752,145 @@ export default function App() {
               >
                 Teacher panel
               </button>
+
+              <button
+                onClick={() => setWorksheetSource(WORKSHEET_SOURCES.SETTINGS)}
+                disabled={Boolean(poolProblem)}
+                className="rounded-2xl px-5 py-3 font-semibold border shadow-sm bg-white hover:bg-gray-50 disabled:opacity-50"
+              >
+                Print worksheet
+              </button>
+
+              <button
+                onClick={() => setShowProgress((v) => !v)}
+                aria-pressed={showProgress}
+                className="rounded-2xl px-5 py-3 font-semibold border shadow-sm bg-white hover:bg-gray-50"
+              >
+                My progress
+              </button>
             </div>
           </div>
         )}
 
         {/* Quiz UI */}
-        {startedAt && !finishedAt && current && (
+        {running && current && (
           <div className="mt-6 grid gap-4">
+            {isMTC ? (
+              <div className="grid md:grid-cols-2 gap-3">
+                <Stat label="Question" value={`${Math.min(completed + (mtcPaused ? 0 : 1), MTC_QUESTIONS)} of ${MTC_QUESTIONS}`} />
+                <Stat label={mtcPaused ? "Next question in" : "Time left"} value={formatMs(timeLeft)} />
+              </div>
+            ) : (
             <div className="grid md:grid-cols-4 gap-3">
               <Stat label="Attempts" value={attempts} />
-              <Stat label="Correct" value={correct} sub={`${accuracy}%`} />
+              <Stat label="Correct" value={correct} sub={`${accuracy}% · ${quiz.streak} in a row`} />
               <Stat label="Rate" value={`${qPerMin}/min`} sub={`Fast ${formatMs(fastest)} · Slow ${formatMs(slowest)}`} />
               {isTimed ? (
-                <Stat label="Time left" value={formatMs(timeRemaining)} />
+                <Stat label="Time left" value={formatMs(timeLeft)} />
               ) : (
                 <Stat label="Remaining" value={Math.max(questionsTarget - completed, 0)} />
               )}
             </div>
+            )}
 
             <div className="rounded-3xl border bg-white p-6 shadow-sm text-center">
-              <div className="text-sm opacity-60 mb-2">Type your answer and press Enter</div>
-              <div className="text-6xl md:text-7xl font-black tracking-tight select-none">
-                {current.a} × {current.b} = ?
+              <div className="text-sm opacity-60 mb-2">
+                {inputMode === INPUT_MODES.CHOICE
+                  ? "Pick the right answer"
+                  : inputMode === INPUT_MODES.NUMPAD
+                  ? "Tap your answer, then ✓"
+                  : "Type your answer and press Enter"}
+              </div>
+              <div className="text-6xl md:text-7xl font-black tracking-tight select-none" aria-hidden="true">
+                {isMTC && mtcPaused ? (
+                  <span className="opacity-30">Get ready…</span>
+                ) : paused ? (
+                  <span className="opacity-30">Paused</span>
+                ) : (
+                  formatQuestion(current)
+                )}
               </div>
+              <div id="question-text" className="sr-only" aria-live="polite">
+                {mtcPaused ? "Get ready for the next question." : paused ? "Paused." : spokenPrompt}
+              </div>
+              <div className="sr-only" aria-live="assertive">
+                {timeAlert}
+              </div>
+              {inputMode === INPUT_MODES.CHOICE && (
+                <AnswerChoices choices={paused ? [] : choices} ruledOut={ruledOut} disabled={mtcPaused} onChoose={(c) => submit(String(c))} />
+              )}
               <div className="mt-6 flex items-center justify-center gap-3">
-                <input
-                  ref={inputRef}
-                  inputMode="numeric"
-                  pattern="[0-9]*"
-                  className="w-44 text-center text-3xl rounded-2xl border p-3"
-                  value={answer}
-                  onChange={(e) => setAnswer(e.target.value.replace(/[^0-9]/g, ""))}
-                />
-                <button onClick={submit} className="rounded-2xl px-5 py-3 font-semibold border shadow-sm bg-black text-white">
-                  Submit
-                </button>
+                {inputMode !== INPUT_MODES.CHOICE && (
+                  <>
+                    <input
+                      ref={inputRef}
+                      aria-label="Your answer"
+                      aria-describedby="question-text"
+                      inputMode={inputMode === INPUT_MODES.NUMPAD ? "none" : "numeric"}
+                      readOnly={inputMode === INPUT_MODES.NUMPAD}
+                      pattern="[0-9]*"
+                      className="w-44 text-center text-3xl rounded-2xl border p-3"
+                      value={answer}
+                      disabled={(isMTC && mtcPaused) || paused}
+                      onChange={(e) => setAnswer(e.target.value.replace(/[^0-9]/g, ""))}
+                    />
+                    {inputMode === INPUT_MODES.KEYBOARD && (
+                      <button onClick={() => submit()} className="rounded-2xl px-5 py-3 font-semibold border shadow-sm bg-black text-white">
+                        Submit
+                      </button>
+                    )}
+                  </>
+                )}
+                {canPause(quiz) && (
+                  <button
+                    onClick={() => dispatch({ type: paused ? "resume" : "pause", now: Date.now() })}
+                    className="rounded-2xl px-5 py-3 font-semibold border shadow-sm bg-white hover:bg-gray-50"
+                  >
+                    {paused ? "Resume" : "Pause"}
+                  </button>
+                )}
                 <button onClick={finish} className="rounded-2xl px-5 py-3 font-semibold border shadow-sm bg-white hover:bg-gray-50">
                   Finish
                 </button>
               </div>
+              {inputMode === INPUT_MODES.NUMPAD && (
+                <NumberPad value={answer} onChange={setAnswer} onSubmit={() => submit()} disabled={(isMTC && mtcPaused) || paused} />
+              )}
+
+              {/* the live region stays mounted so each new message is announced */}
+              <div role="status" aria-live="polite">
+                {!isMTC && feedback && (
+                  <div
+                    className={`mt-4 inline-block rounded-xl px-4 py-2 text-sm font-semibold ${
+                      feedback.type === "correct"
+                        ? "bg-green-50 text-green-700 border border-green-200"
+                        : feedback.type === "reveal" || feedback.type === "timeout"
+                        ? "bg-amber-50 text-amber-700 border border-amber-200"
+                        : "bg-rose-50 text-rose-700 border border-rose-200"
+                    }`}
+                  >
+                    {feedbackText(feedback, attempts)}
+                  </div>
+                )}
+              </div>
 
-              {feedback && (
-                <div
-                  className={`mt-4 inline-block rounded-xl px-4 py-2 text-sm font-semibold ${
-                    feedback.type === "correct"
-                      ? "bg-green-50 text-green-700 border border-green-200"
-                      : feedback.type === "reveal"
-                      ? "bg-amber-50 text-amber-700 border border-amber-200"
-                      : "bg-rose-50 text-rose-700 border border-rose-200"
-                  }`}
-                >
-                  {feedback.text}
-                </div>
+              <div aria-live="polite">{hint && <HintPanel hint={hint} />}</div>
+              {quiz.config?.hints && attemptsOnCurrent > 0 && !quiz.hintShown && !paused && hasHint(current) && (
+                <button onClick={() => dispatch({ type: "hint" })} className="mt-4 rounded-xl border px-3 py-1 text-sm bg-white hover:bg-gray-50">
+                  💡 Show a hint
+                </button>
               )}
 
-              <div className="mt-2 text-xs opacity-60">Tries on this question: {attemptsOnCurrent}/3</div>
+              {!isMTC && <div className="mt-2 text-xs opacity-60">Tries on this question: {attemptsOnCurrent}/{maxTries}</div>}
+              {questionLeft != null && (
+                <div className={`mt-1 text-sm font-semibold ${questionLeft <= 2000 ? "text-rose-700" : "opacity-70"}`}>
+                  ⏱ {Math.ceil(questionLeft / 1000)}s for this question
+                </div>
+              )}
 
-              {prev && (
+              {!isMTC && prev && (
                 <div className="mt-4 text-sm opacity-70">
-                  Previous: {prev.a} × {prev.b} = {prev.ans}
+                  Previous: {formatFact(prev)}
                 </div>
               )}
             </div>
@@ -548,16 +898,50 @@ export default function App() {
         )}
 
         {/* Results */}
-        {finishedAt && (
+        {finished && (
           <div className="mt-6 grid gap-4">
             <div className="rounded-2xl border bg-white p-4 shadow-sm">
               <div className="text-lg font-semibold mb-2">Session summary</div>
               <div className="grid md:grid-cols-4 gap-3">
                 <Stat label="Name" value={name} sub={`Class ${classCode}`} />
-                <Stat label="Accuracy" value={`${accuracy}%`} sub={`${correct}/${attempts}`} />
+                {isMTC ? (
+                  <Stat label="Score" value={`${correct} / ${MTC_QUESTIONS}`} sub={`${accuracy}%`} />
+                ) : (
+                  <Stat label="Accuracy" value={`${accuracy}%`} sub={`${correct}/${attempts}`} />
+                )}
                 <Stat label="Duration" value={formatMs(durationMs)} sub={`${qPerMin}/min`} />
                 <Stat label="Completed" value={completed} />
               </div>
+              <div className="mt-3 text-sm opacity-70">
+                {quiz.config.form && `${quiz.config.form} · `}Question code <b className="font-mono">{quiz.config.seedCode}</b>
+                {hintedCorrect > 0 && ` · Right after a hint: ${hintedCorrect}`}
+              </div>
+              {lastTime && <div className="mt-2 font-semibold">{comparisonText(correct, lastTime)}</div>}
+
+              {achievementsOn && (
+                <div className="mt-4 rounded-xl border border-amber-200 bg-amber-50 p-3">
+                  <div className="font-semibold">🔥 Practised {dailyStreak(achievements.days)} day{dailyStreak(achievements.days) === 1 ? "" : "s"} in a row</div>
+                  {unlocked.length > 0 && (
+                    <div className="mt-2">
+                      <div className="text-sm font-semibold mb-1">New badges</div>
+                      <BadgeList badges={unlocked} />
+                    </div>
+                  )}
+                </div>
+              )}
+
+              {timedOutEvents.length > 0 && (
+                <div className="mt-4 rounded-xl border bg-gray-50 p-3">
+                  <div className="font-semibold mb-2">Ran out of time on:</div>
+                  <div className="flex flex-wrap gap-2">
+                    {timedOutEvents.map((e) => (
+                      <span key={e.atMs} className="px-3 py-1 rounded-full bg-white border text-sm">
+                        {formatFact(e)}
+                      </span>
+                    ))}
+                  </div>
+                </div>
+              )}
 
               {Object.keys(missedMap).length > 0 ? (
                 <div className="mt-4 rounded-xl border bg-amber-50 p-3 text-amber-900">
@@ -565,7 +949,7 @@ export default function App() {
                   <div className="flex flex-wrap gap-2">
                     {Object.values(missedMap).map((m) => (
                       <span key={keyFor(m)} className="px-3 py-1 rounded-full bg-white/70 border text-sm">
-                        {m.a} × {m.b} <span className="opacity-60">(missed {m.count}×)</span>
+                        {formatQuestion(m)} <span className="opacity-60">(missed {m.count}×)</span>
                       </span>
                     ))}
                   </div>
@@ -576,86 +960,141 @@ export default function App() {
                 </div>
               )}
 
+              {tips.length > 0 && (
+                <div className="mt-4 rounded-xl border bg-sky-50 p-3 text-sky-900">
+                  <div className="font-semibold mb-2">Something to watch out for</div>
+                  <ul className="text-sm list-disc pl-5">
+                    {tips.map((t) => (
+                      <li key={t.id}>{t.tip}</li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+
               <div className="mt-4 flex gap-3">
-                <button onClick={() => { setStartedAt(null); setFinishedAt(null); }} className="rounded-2xl px-5 py-3 font-semibold border shadow-sm bg-white hover:bg-gray-50">Back to settings</button>
+                <button onClick={() => dispatch({ type: "reset" })} className="rounded-2xl px-5 py-3 font-semibold border shadow-sm bg-white hover:bg-gray-50">Back to settings</button>
                 <button onClick={start} className="rounded-2xl px-5 py-3 font-semibold border shadow-sm bg-black text-white">Try again</button>
+                {Object.keys(missedMap).length > 0 && (
+                  <button
+                    onClick={() => setWorksheetSource(WORKSHEET_SOURCES.MISSED)}
+                    className="rounded-2xl px-5 py-3 font-semibold border shadow-sm bg-white hover:bg-gray-50"
+                  >
+                    Print missed facts
+                  </button>
+                )}
               </div>
             </div>
           </div>
         )}
 
+        {showProgress && signedIn && !running && (
+          <ProgressPanel
+            name={name}
+            classCode={classCode}
+            results={myHistory}
+            facts={mastery}
+            achievements={achievements}
+            onClose={() => setShowProgress(false)}
+          />
+        )}
+
+        {worksheetSource && signedIn && !running && (
+          <WorksheetPanel
+            key={worksheetSource}
+            initialSource={worksheetSource}
+            settings={{ aValues, bValues, factorA, factorB, tables: selectedTables, questionTypes }}
+            missed={finished ? Object.values(missedMap) : []}
+            tricky={trickyFacts(mastery)}
+            onClose={() => setWorksheetSource(null)}
+          />
+        )}
+
         {/* Teacher panel (local only) */}
         {showTeacher && (
           <div className="mt-8 rounded-2xl border bg-white p-4 shadow-sm">
             <div className="flex items-center justify-between">
-              <div className="text-lg font-semibold">Teacher panel (local demo)</div>
+              <div className="text-lg font-semibold">
+                Teacher panel{teacherScope !== MAIN_SCOPE && <span className="opacity-60"> · class {teacherScope}</span>}
+              </div>
               <div className="flex gap-2">
                 <button
-                  onClick={() => {
-                    const blob = new Blob([teacherCSV], { type: "text/csv;charset=utf-8;" });
-                    const url = URL.createObjectURL(blob);
-                    const a = document.createElement("a");
-                    a.href = url;
-                    a.download = `multiplication_results_${Date.now()}.csv`;
-                    a.click();
-                    URL.revokeObjectURL(url);
-                  }}
+                  onClick={() => downloadText(`multiplication_results_${Date.now()}.csv`, toCSV(toExportRows(results)), "text/csv;charset=utf-8;")}
                   className="rounded-xl border px-4 py-2 text-sm font-semibold bg-black text-white"
                 >
                   Export CSV
                 </button>
-                <button onClick={() => { if (confirm('Clear all local results?')) { clearResults(); location.reload(); } }} className="rounded-xl border px-4 py-2 text-sm font-semibold bg-white hover:bg-gray-50">Clear</button>
+                <button
+                  onClick={() => downloadText(`multiplication_backup_${Date.now()}.json`, makeBackup(results), "application/json")}
+                  className="rounded-xl border px-4 py-2 text-sm font-semibold bg-white hover:bg-gray-50"
+                >
+                  Backup JSON
+                </button>
+                <button onClick={() => setConfirmingClear(true)} className="rounded-xl border px-4 py-2 text-sm font-semibold bg-white hover:bg-gray-50">Clear</button>
+                <button onClick={() => setTeacherScope(null)} className="rounded-xl border px-4 py-2 text-sm font-semibold bg-white hover:bg-gray-50">Lock</button>
               </div>
             </div>
 
-            <div className="overflow-x-auto mt-3">
-              <table className="w-full text-sm border">
-                <thead>
-                  <tr className="bg-gray-100 text-left">
-                    {[
-                      "timestamp","name","classCode","mode","selectedTables","questionsTarget","attempts","completed","correct","accuracy","durationMs","qPerMin","fastestMs","slowestMs"
-                    ].map((h) => (
-                      <th key={h} className="p-2 border-b">{h}</th>
-                    ))}
-                  </tr>
-                </thead>
-                <tbody>
-                  {results.map((r, i) => (
-                    <tr key={i} className="odd:bg-white even:bg-gray-50">
-                      {Object.values(r).map((v, j) => (
-                        <td key={j} className="p-2 border-b">{String(v)}</td>
-                      ))}
-                    </tr>
-                  ))}
-                  {!results.length && (
-                    <tr>
-                      <td className="p-3" colSpan={13}>No results yet. Run a session to see data here.</td>
-                    </tr>
-                  )}
-                </tbody>
-              </table>
-            </div>
+            {confirmingClear && (
+              <PinConfirm
+                scope={teacherScope}
+                message={teacherScope === MAIN_SCOPE ? "Clear all local results?" : `Clear all results for class ${teacherScope}?`}
+                onConfirmed={() => {
+                  storeRef.current
+                    .clear(teacherScope === MAIN_SCOPE ? null : teacherScope)
+                    .then(() => location.reload())
+                    .catch(reportStorageError);
+                }}
+                onCancel={() => setConfirmingClear(false)}
+              />
+            )}
 
-            {/* Dev tests output */}
-            <div className="mt-6 rounded-xl border bg-gray-50 p-3">
-              <div className="font-semibold mb-2">Developer tests (toCSV)</div>
-              <ul className="text-sm list-disc pl-5">
-                {csvTestResults.map((t, idx) => (
-                  <li key={idx} className={t.pass ? "text-green-700" : "text-rose-700"}>
-                    {t.pass ? "PASS" : "FAIL"} – {t.name}
-                    {!t.pass && (
-                      <div className="mt-1 text-xs opacity-80">
-                        got: <code className="bg-white px-1">{JSON.stringify(t.got)}</code>
-                        <br />
-                        expected: <code className="bg-white px-1">{JSON.stringify(t.expect)}</code>
-                      </div>
-                    )}
-                  </li>
+            <div className="mt-3 flex items-center gap-2 text-sm">
+              <label htmlFor="assignment-filter" className="opacity-70">Show</label>
+              <select
+                id="assignment-filter"
+                className="rounded-xl border p-1"
+                value={assignmentFilter}
+                onChange={(e) => setAssignmentFilter(e.target.value)}
+              >
+                <option value="">All results</option>
+                <option value="none">Free practice (no assignment)</option>
+                {assignmentOptions.filter((a) => teacherScope === MAIN_SCOPE || a.classCode === teacherScope).map((a) => (
+                  <option key={a.id} value={a.id}>
+                    {a.name} ({a.classCode})
+                  </option>
                 ))}
-              </ul>
+              </select>
             </div>
 
-            <div className="text-xs opacity-60 mt-2">Data is stored only in this browser (localStorage) in this MVP.</div>
+            <AnalyticsPanel results={results} />
+
+            <MisconceptionsPanel results={results} />
+
+            <AchievementsPanel classScope={teacherScope === MAIN_SCOPE ? null : teacherScope} />
+
+            <ResultsTable results={results} />
+
+            <ImportPanel
+              existing={storedResults}
+              classScope={teacherScope === MAIN_SCOPE ? null : teacherScope}
+              onCommit={(merged) => storeRef.current.replaceAll(merged).then(reloadResults).catch(reportStorageError)}
+            />
+
+            <RosterPanel
+              classScope={teacherScope === MAIN_SCOPE ? null : teacherScope}
+              existing={storedResults}
+              onCommit={(merged) => storeRef.current.replaceAll(merged).then(reloadResults).catch(reportStorageError)}
+            />
+
+            <AssignmentsPanel
+              classScope={teacherScope === MAIN_SCOPE ? null : teacherScope}
+              onChange={() => setAssignmentOptions(listAssignments())}
+            />
+
+            {teacherScope === MAIN_SCOPE && <ClassPins />}
+            {teacherScope === MAIN_SCOPE && <SyncSettings status={syncStatus} onStatus={setSyncStatus} />}
+
+            <div className="text-xs opacity-60 mt-2">Data is stored only in this browser ({storeRef.current?.backend ?? "local storage"}) unless a sync server is set.</div>
           </div>
         )}
 
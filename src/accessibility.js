@@ -0,0 +1,70 @@
+// --- Accessibility: per-student display, sound and input preferences, and read-aloud ---
+// Preferences are kept per student (like mastery) so a shared classroom device
+// switches theme and speech as each child signs in.
+import { INPUT_MODES } from "./inputModes.js";
+import { studentEntry, studentKey } from "./mastery.js";
+import { formatQuestion } from "./questionTypes.js";
+
+const PREFS_KEY = "multitest_prefs_v1";
+export const DEFAULT_PREFS = { speak: false, highContrast: false, largeText: false, inputMode: INPUT_MODES.KEYBOARD };
+
+// Announced (and spoken) once as the clock passes each of these; smallest first
+export const TIME_WARNINGS_MS = [10000, 30000];
+
+function readAll() {
+  try {
+    return JSON.parse(localStorage.getItem(PREFS_KEY) || "{}");
+  } catch {
+    return {};
+  }
+}
+
+export function loadPrefs(student) {
+  return { ...DEFAULT_PREFS, ...studentEntry(readAll(), student) };
+}
+
+export function savePrefs(student, prefs) {
+  const all = readAll();
+  all[studentKey(student)] = prefs;
+  try {
+    localStorage.setItem(PREFS_KEY, JSON.stringify(all));
+  } catch {
+    // preferences still apply for this visit
+  }
+}
+
+// The html element carries the theme so rem-based sizes scale too (see index.css)
+export function applyTheme(prefs) {
+  const root = document.documentElement;
+  root.classList.toggle("theme-contrast", prefs.highContrast);
+  root.classList.toggle("theme-large", prefs.largeText);
+}
+
+// Symbols and emoji read badly aloud: "7 × 8 = ?" → "7 times 8 equals what"
+export function toSpeech(text) {
+  return text
+    .replace(/\p{Extended_Pictographic}\uFE0F?/gu, "")
+    .replaceAll("×", " times ")
+    .replaceAll("÷", " divided by ")
+    .replaceAll("−", " minus ")
+    .replaceAll("=", " equals ")
+    .replaceAll("?", " what ")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+export const spokenQuestion = (q) => toSpeech(formatQuestion(q));
+
+// The warning threshold just crossed, if any, given the last one announced
+export function timeWarning(msLeft, lastWarned) {
+  return TIME_WARNINGS_MS.find((ms) => msLeft <= ms && (lastWarned == null || ms < lastWarned)) ?? null;
+}
+
+export const canSpeak = () => typeof window !== "undefined" && "speechSynthesis" in window;
+
+// Interrupts whatever is still being read so speech keeps up with the quiz
+export function speak(text) {
+  if (!canSpeak() || !text) return;
+  window.speechSynthesis.cancel();
+  window.speechSynthesis.speak(new SpeechSynthesisUtterance(text));
+}
@@ -0,0 +1,29 @@
+import { describe, expect, it } from "vitest";
+import { spokenQuestion, timeWarning, toSpeech } from "./accessibility.js";
+import { QUESTION_TYPES, makeQuestion } from "./questionTypes.js";
+
+describe("toSpeech", () => {
+  it("reads the maths symbols as words", () => {
+    expect(spokenQuestion(makeQuestion(7, 8))).toBe("7 times 8 equals what");
+    expect(spokenQuestion(makeQuestion(7, 8, QUESTION_TYPES.DIVIDE))).toBe("56 divided by 7 equals what");
+    expect(toSpeech("60 − 6 = ?")).toBe("60 minus 6 equals what");
+  });
+
+  it("drops emoji", () => {
+    expect(toSpeech("✅ Correct! Great work.")).toBe("Correct! Great work.");
+  });
+});
+
+describe("timeWarning", () => {
+  it("warns once at each threshold as the clock runs down", () => {
+    expect(timeWarning(45000, null)).toBeNull();
+    expect(timeWarning(30000, null)).toBe(30000);
+    expect(timeWarning(29000, 30000)).toBeNull();
+    expect(timeWarning(9900, 30000)).toBe(10000);
+    expect(timeWarning(5000, 10000)).toBeNull();
+  });
+
+  it("skips straight to the last threshold passed", () => {
+    expect(timeWarning(8000, null)).toBe(10000);
+  });
+});
@@ -0,0 +1,102 @@
+// --- Achievements: badges and daily practice streaks, persisted per student ---
+// Checked once as each session finishes (unless the assignment turns them off).
+// A badge is earned once and keeps the date it was first unlocked.
+import { studentEntry, studentKey } from "./mastery.js";
+import { dayStamp } from "./utils.js";
+
+const ACHIEVEMENTS_KEY = "multitest_achievements_v1";
+const DAY_MS = 24 * 60 * 60 * 1000;
+export const RUN_FOR_BADGE = 25; // correct answers in a row
+export const DAYS_FOR_BADGE = 5; // practice days in a row
+const MIN_ATTEMPTS_FOR_BEST = 10; // a two-question sprint isn't a personal best
+const KEPT_DAYS = 60;
+
+const FIXED_BADGES = {
+  RUN: { id: "run-25", icon: "🎯", label: `${RUN_FOR_BADGE} in a row`, description: `${RUN_FOR_BADGE} correct answers in a row in one session` },
+  BEST_RATE: { id: "best-rate", icon: "⚡", label: "Personal best speed", description: "Beat your best questions-per-minute in a mode" },
+  DAILY: { id: "daily-5", icon: "🔥", label: `${DAYS_FOR_BADGE}-day streak`, description: `Practised ${DAYS_FOR_BADGE} days in a row` },
+};
+const tableBadge = (t) => ({ id: `table-${t}`, icon: "⭐", label: `×${t} mastered`, description: `Every fact in the ${t} times table mastered` });
+
+// Every badge in display order: the fixed ones, then one per table
+export const ALL_BADGES = [...Object.values(FIXED_BADGES), ...Array.from({ length: 12 }, (_, i) => tableBadge(i + 1))];
+export const badgeInfo = (id) => ALL_BADGES.find((b) => b.id === id);
+
+export const NO_ACHIEVEMENTS = { badges: {}, days: [] }; // badges: id -> ISO time first earned; days: "YYYY-MM-DD"
+
+function readAll() {
+  try {
+    return JSON.parse(localStorage.getItem(ACHIEVEMENTS_KEY) || "{}");
+  } catch {
+    return {};
+  }
+}
+
+export function loadAchievements(student) {
+  return { ...NO_ACHIEVEMENTS, ...studentEntry(readAll(), student) };
+}
+
+// Teacher view: [{ key, name, classCode, badges, days }] for every student on this device
+export function listAchievements() {
+  return Object.entries(readAll()).map(([key, record]) => ({ ...NO_ACHIEVEMENTS, ...record, key }));
+}
+
+// Days in a row up to today, by local day (see dayStamp) so a streak follows the school day;
+// a streak only breaks once a whole day is missed
+export function dailyStreak(days, now = Date.now()) {
+  const have = new Set(days);
+  const noon = new Date(now).setHours(12, 0, 0, 0); // stepping back from noon stays clear of DST shifts
+  let t = have.has(dayStamp(noon)) ? noon : noon - DAY_MS;
+  let n = 0;
+  while (have.has(dayStamp(t))) {
+    n += 1;
+    t -= DAY_MS;
+  }
+  return n;
+}
+
+// Longest run of correct submissions in a session's events
+export function longestRun(events) {
+  let best = 0;
+  let run = 0;
+  for (const e of events) {
+    run = e.correct ? run + 1 : 0;
+    best = Math.max(best, run);
+  }
+  return best;
+}
+
+// Badge ids this session newly earns. session: { events, attempts, qPerMin, bestRate, mastered, days }
+// where bestRate is the previous best in this mode (null for none or untimed checks).
+export function newBadges(record, session, now = Date.now()) {
+  const earned = [];
+  if (longestRun(session.events) >= RUN_FOR_BADGE) earned.push(FIXED_BADGES.RUN.id);
+  if (session.bestRate != null && session.attempts >= MIN_ATTEMPTS_FOR_BEST && Number(session.qPerMin) > session.bestRate) {
+    earned.push(FIXED_BADGES.BEST_RATE.id);
+  }
+  if (dailyStreak(session.days, now) >= DAYS_FOR_BADGE) earned.push(FIXED_BADGES.DAILY.id);
+  for (const t of session.mastered) earned.push(tableBadge(t).id);
+  return earned.filter((id) => !record.badges[id]);
+}
+
+// Records today's practice and any new badges; returns { record, unlocked: [badge] }
+export function recordAchievements(student, session, now = Date.now()) {
+  const all = readAll();
+  const prev = loadAchievements(student);
+  const days = [...new Set([...prev.days, dayStamp(now)])].sort().slice(-KEPT_DAYS);
+  const ids = newBadges(prev, { ...session, days }, now);
+  const when = new Date(now).toISOString();
+  const record = {
+    name: student.name,
+    classCode: student.classCode.trim().toUpperCase(),
+    days,
+    badges: { ...prev.badges, ...Object.fromEntries(ids.map((id) => [id, when])) },
+  };
+  all[studentKey(student)] = record;
+  try {
+    localStorage.setItem(ACHIEVEMENTS_KEY, JSON.stringify(all));
+  } catch {
+    // badges are a bonus; the session result is already saved
+  }
+  return { record, unlocked: ids.map(badgeInfo) };
+}
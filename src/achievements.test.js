@@ -0,0 +1,60 @@
+import { beforeEach, describe, expect, it, vi } from "vitest";
+import { dailyStreak, loadAchievements, longestRun, newBadges, recordAchievements } from "./achievements.js";
+import { dayStamp } from "./utils.js";
+
+const DAY = 24 * 60 * 60 * 1000;
+const NOW = new Date(2026, 2, 10, 15, 0).getTime();
+const daysAgo = (...ns) => ns.map((n) => dayStamp(NOW - n * DAY));
+const right = (n) => Array.from({ length: n }, () => ({ correct: true }));
+const session = (overrides) => ({ events: [], attempts: 20, qPerMin: "10.0", bestRate: null, mastered: [], days: [], ...overrides });
+
+beforeEach(() => {
+  const data = new Map();
+  vi.stubGlobal("localStorage", {
+    getItem: (k) => data.get(k) ?? null,
+    setItem: (k, v) => data.set(k, String(v)),
+    removeItem: (k) => data.delete(k),
+  });
+});
+
+describe("dailyStreak", () => {
+  it("counts back from today, or from yesterday before today's practice", () => {
+    expect(dailyStreak(daysAgo(0, 1, 2), NOW)).toBe(3);
+    expect(dailyStreak(daysAgo(1, 2), NOW)).toBe(2);
+    expect(dailyStreak(daysAgo(0, 2, 3), NOW)).toBe(1);
+    expect(dailyStreak(daysAgo(2, 3), NOW)).toBe(0);
+  });
+});
+
+describe("newBadges", () => {
+  const none = { badges: {}, days: [] };
+
+  it("needs 25 correct in a row", () => {
+    expect(longestRun([...right(10), { correct: false }, ...right(12)])).toBe(12);
+    expect(newBadges(none, session({ events: right(24) }), NOW)).toEqual([]);
+    expect(newBadges(none, session({ events: right(25) }), NOW)).toEqual(["run-25"]);
+  });
+
+  it("awards a personal best only against an earlier best and a real session", () => {
+    expect(newBadges(none, session({ bestRate: 9.5 }), NOW)).toEqual(["best-rate"]);
+    expect(newBadges(none, session({ bestRate: 10 }), NOW)).toEqual([]);
+    expect(newBadges(none, session({ bestRate: 5, attempts: 4 }), NOW)).toEqual([]);
+  });
+
+  it("awards mastered tables and five-day streaks once", () => {
+    const s = session({ mastered: [2, 5], days: daysAgo(0, 1, 2, 3, 4) });
+    expect(newBadges(none, s, NOW)).toEqual(["daily-5", "table-2", "table-5"]);
+    expect(newBadges({ badges: { "table-2": "x", "daily-5": "x" }, days: [] }, s, NOW)).toEqual(["table-5"]);
+  });
+});
+
+describe("recordAchievements", () => {
+  it("keeps today's practice and the badges for next time", () => {
+    const student = { id: "stu_1", name: "Sam", classCode: "4b" };
+    const first = recordAchievements(student, session({ events: right(25) }), NOW);
+    expect(first.unlocked.map((b) => b.id)).toEqual(["run-25"]);
+    const again = recordAchievements(student, session({ events: right(25) }), NOW + DAY);
+    expect(again.unlocked).toEqual([]);
+    expect(loadAchievements(student)).toMatchObject({ classCode: "4B", days: daysAgo(0, -1) });
+  });
+});
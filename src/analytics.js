@@ -0,0 +1,74 @@
+// --- Class analytics over locally stored results ---
+// Everything is derived from result rows and their per-question `events`.
+export const GRID_SIZE = 12;
+const SUPPORT_ACCURACY = 75; // recent average below this needs a look
+const SUPPORT_DROP = 15; // or a fall of this many points from earlier sessions
+const RECENT_SESSIONS = 3;
+
+export function median(values) {
+  if (!values.length) return null;
+  const s = [...values].sort((x, y) => x - y);
+  const mid = Math.floor(s.length / 2);
+  return s.length % 2 ? s[mid] : (s[mid - 1] + s[mid]) / 2;
+}
+
+const eventsOf = (r) => (Array.isArray(r.events) ? r.events : []);
+
+// grid[a-1][b-1] = { attempts, wrong, errorRate, medianMs } for every a × b up to 12 × 12
+export function factGrid(results) {
+  const cells = Array.from({ length: GRID_SIZE }, () => Array.from({ length: GRID_SIZE }, () => ({ attempts: 0, wrong: 0, times: [] })));
+  for (const r of results) {
+    for (const e of eventsOf(r)) {
+      if (e.a < 1 || e.b < 1 || e.a > GRID_SIZE || e.b > GRID_SIZE) continue;
+      const c = cells[e.a - 1][e.b - 1];
+      c.attempts += 1;
+      if (!e.correct) c.wrong += 1;
+      if (e.ms > 0) c.times.push(e.ms);
+    }
+  }
+  return cells.map((row) =>
+    row.map(({ attempts, wrong, times }) => ({
+      attempts,
+      wrong,
+      errorRate: attempts ? wrong / attempts : null,
+      medianMs: median(times),
+    }))
+  );
+}
+
+// Same keys as studentKey in mastery.js: the roster id when the row has one
+export const studentKeyOf = (r) =>
+  r.studentId ? `id:${r.studentId}` : `${String(r.classCode).trim().toUpperCase()}|${String(r.name).trim().toLowerCase()}`;
+
+// [{ key, name, classCode, sessions: [{ timestamp, accuracy, qPerMin }] }] oldest session first
+export function studentTrends(results) {
+  const byStudent = new Map();
+  for (const r of results) {
+    const k = studentKeyOf(r);
+    if (!byStudent.has(k)) byStudent.set(k, { key: k, name: String(r.name).trim(), classCode: String(r.classCode).trim().toUpperCase(), sessions: [] });
+    byStudent.get(k).sessions.push({ timestamp: r.timestamp, accuracy: Number(r.accuracy) || 0, qPerMin: Number(r.qPerMin) || 0 });
+  }
+  const list = [...byStudent.values()];
+  for (const s of list) s.sessions.sort((x, y) => String(x.timestamp).localeCompare(String(y.timestamp)));
+  return list.sort((x, y) => x.name.localeCompare(y.name));
+}
+
+const mean = (xs) => xs.reduce((t, x) => t + x, 0) / xs.length;
+
+// [{ ...student, reasons: [string] }] for students whose recent sessions look weak or worse than before
+export function studentsNeedingSupport(trends) {
+  const out = [];
+  for (const s of trends) {
+    const recent = s.sessions.slice(-RECENT_SESSIONS);
+    const earlier = s.sessions.slice(0, -RECENT_SESSIONS);
+    const recentAcc = mean(recent.map((x) => x.accuracy));
+    const reasons = [];
+    if (recentAcc < SUPPORT_ACCURACY) reasons.push(`recent accuracy ${Math.round(recentAcc)}%`);
+    if (earlier.length) {
+      const drop = mean(earlier.map((x) => x.accuracy)) - recentAcc;
+      if (drop >= SUPPORT_DROP) reasons.push(`down ${Math.round(drop)} points on earlier sessions`);
+    }
+    if (reasons.length) out.push({ ...s, reasons });
+  }
+  return out;
+}
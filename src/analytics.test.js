@@ -0,0 +1,52 @@
+import { describe, expect, it } from "vitest";
+import { factGrid, median, studentTrends, studentsNeedingSupport } from "./analytics.js";
+
+const session = (name, timestamp, accuracy, extra = {}) => ({ name, classCode: "4B", studentId: "", timestamp, accuracy, qPerMin: 10, events: [], ...extra });
+
+describe("median", () => {
+  it("takes the middle value, or the mean of the middle two", () => {
+    expect(median([])).toBeNull();
+    expect(median([5, 1, 3])).toBe(3);
+    expect(median([4, 1, 3, 2])).toBe(2.5);
+  });
+});
+
+describe("factGrid", () => {
+  it("counts attempts, misses and median time per fact, skipping facts off the grid", () => {
+    const events = [
+      { a: 7, b: 8, correct: true, ms: 2000 },
+      { a: 7, b: 8, correct: false, ms: 4000 },
+      { a: 7, b: 8, correct: true, ms: 0 }, // no time recorded
+      { a: 13, b: 2, correct: false, ms: 1000 },
+    ];
+    const grid = factGrid([session("Sam", "2026-03-02", 50, { events }), session("Ava", "2026-03-02", 50, { events: "" })]);
+    expect(grid[6][7]).toEqual({ attempts: 3, wrong: 1, errorRate: 1 / 3, medianMs: 3000 });
+    expect(grid[7][6]).toEqual({ attempts: 0, wrong: 0, errorRate: null, medianMs: null });
+    expect(grid.flat().reduce((t, c) => t + c.attempts, 0)).toBe(3);
+  });
+});
+
+describe("studentTrends", () => {
+  it("groups differently typed names and roster ids, oldest session first", () => {
+    const trends = studentTrends([
+      session("Sam ", "2026-03-03", 80, { classCode: "4b" }),
+      session("sam", "2026-03-01", 60),
+      session("Ava", "2026-03-02", 90, { studentId: "p1" }),
+      session("Ava B", "2026-03-04", 95, { studentId: "p1" }),
+    ]);
+    expect(trends.map((s) => [s.name, s.sessions.map((x) => x.accuracy)])).toEqual([
+      ["Ava", [90, 95]],
+      ["Sam", [60, 80]],
+    ]);
+  });
+});
+
+describe("studentsNeedingSupport", () => {
+  const trend = (accuracies) => ({ name: "Sam", sessions: accuracies.map((accuracy) => ({ accuracy })) });
+
+  it("flags low recent accuracy and a drop on earlier sessions", () => {
+    expect(studentsNeedingSupport([trend([90, 90, 90])])).toEqual([]);
+    expect(studentsNeedingSupport([trend([70, 70, 70])])[0].reasons).toEqual(["recent accuracy 70%"]);
+    expect(studentsNeedingSupport([trend([100, 100, 80, 80, 80])])[0].reasons).toEqual(["down 20 points on earlier sessions"]);
+  });
+});
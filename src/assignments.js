@@ -0,0 +1,45 @@
+// --- Teacher assignments, linked to a class code and stored locally ---
+// An assignment fixes everything a student would otherwise pick: numbers,
+// question types, mode, length and whether second tries are allowed.
+const ASSIGNMENTS_KEY = "multitest_assignments_v1";
+
+export const normalizeClassCode = (code) => code.trim().toUpperCase();
+
+export function listAssignments() {
+  try {
+    return JSON.parse(localStorage.getItem(ASSIGNMENTS_KEY) || "[]");
+  } catch {
+    return [];
+  }
+}
+
+function writeAssignments(list) {
+  localStorage.setItem(ASSIGNMENTS_KEY, JSON.stringify(list));
+}
+
+export function saveAssignment(assignment) {
+  const list = listAssignments();
+  const entry = {
+    active: true,
+    createdAt: new Date().toISOString(),
+    ...assignment,
+    id: assignment.id || `asg_${Date.now().toString(36)}`,
+    classCode: normalizeClassCode(assignment.classCode),
+  };
+  const i = list.findIndex((a) => a.id === entry.id);
+  if (i >= 0) list[i] = entry;
+  else list.push(entry);
+  writeAssignments(list);
+  return entry;
+}
+
+export function deleteAssignment(id) {
+  writeAssignments(listAssignments().filter((a) => a.id !== id));
+}
+
+// The newest active assignment for a class, or null if students choose freely
+export function findAssignmentForClass(classCode) {
+  const code = normalizeClassCode(classCode);
+  const matches = listAssignments().filter((a) => a.active && a.classCode === code);
+  return matches.length ? matches[matches.length - 1] : null;
+}
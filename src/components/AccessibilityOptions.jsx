@@ -0,0 +1,31 @@
+import { canSpeak } from "../accessibility.js";
+
+const OPTIONS = [
+  { key: "speak", label: "Read questions and feedback aloud" },
+  { key: "highContrast", label: "High contrast" },
+  { key: "largeText", label: "Large text" },
+];
+
+// Saved per student by the caller (see accessibility.js)
+export default function AccessibilityOptions({ prefs, onChange }) {
+  const speechAvailable = canSpeak();
+  return (
+    <fieldset className="rounded-2xl border bg-white p-4 shadow-sm">
+      <legend className="px-1 text-lg font-semibold">Display and sound</legend>
+      <div className="flex flex-wrap gap-4 text-sm">
+        {OPTIONS.map((o) => (
+          <label key={o.key} className="flex items-center gap-2">
+            <input
+              type="checkbox"
+              checked={prefs[o.key]}
+              disabled={o.key === "speak" && !speechAvailable}
+              onChange={(e) => onChange({ ...prefs, [o.key]: e.target.checked })}
+            />
+            {o.label}
+          </label>
+        ))}
+      </div>
+      {!speechAvailable && <div className="mt-1 text-xs opacity-60">This browser can’t read aloud.</div>}
+    </fieldset>
+  );
+}
@@ -0,0 +1,42 @@
+import { ALL_BADGES, dailyStreak, listAchievements } from "../achievements.js";
+
+// Which badges each pupil on this device has earned; `classScope` limits it to one class
+export default function AchievementsPanel({ classScope = null }) {
+  const rows = listAchievements()
+    .filter((r) => !classScope || r.classCode === classScope)
+    .sort((x, y) => x.classCode.localeCompare(y.classCode) || x.name.localeCompare(y.name));
+
+  return (
+    <div className="mt-6 rounded-xl border p-3 overflow-x-auto">
+      <div className="font-semibold mb-2">Badges and streaks</div>
+      <table className="w-full text-sm border">
+        <thead>
+          <tr className="bg-gray-100 text-left">
+            {["Pupil", "Class", "Days in a row", "Badges"].map((h) => (
+              <th key={h} className="p-2 border-b">{h}</th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map((r) => (
+            <tr key={r.key} className="odd:bg-white even:bg-gray-50">
+              <td className="p-2 border-b">{r.name}</td>
+              <td className="p-2 border-b">{r.classCode}</td>
+              <td className="p-2 border-b">{dailyStreak(r.days)}</td>
+              <td className="p-2 border-b">
+                {ALL_BADGES.filter((b) => r.badges[b.id])
+                  .map((b) => `${b.icon} ${b.label}`)
+                  .join(", ") || "—"}
+              </td>
+            </tr>
+          ))}
+          {!rows.length && (
+            <tr>
+              <td className="p-3" colSpan={4}>No badges earned on this device yet.</td>
+            </tr>
+          )}
+        </tbody>
+      </table>
+    </div>
+  );
+}
@@ -0,0 +1,115 @@
+import { useMemo, useState } from "react";
+import { GRID_SIZE, factGrid, studentTrends, studentsNeedingSupport } from "../analytics.js";
+import { formatMs } from "../utils.js";
+import { Sparkline } from "./ui.jsx";
+
+const METRICS = {
+  ERRORS: "Error rate",
+  TIME: "Median time",
+};
+const SLOWEST_SHADE_MS = 8000; // times at or above this get the darkest colour
+
+// 0 → pale green, 1 → deep red
+const shade = (t) => `hsl(${Math.round(120 - 120 * t)} 70% ${Math.round(92 - 40 * t)}%)`;
+
+export default function AnalyticsPanel({ results }) {
+  const [metric, setMetric] = useState(METRICS.ERRORS);
+  const grid = useMemo(() => factGrid(results), [results]);
+  const trends = useMemo(() => studentTrends(results), [results]);
+  const support = useMemo(() => studentsNeedingSupport(trends), [trends]);
+
+  function cellStyle(c) {
+    if (!c.attempts) return { background: "#f3f4f6" };
+    const t = metric === METRICS.ERRORS ? c.errorRate : Math.min((c.medianMs ?? 0) / SLOWEST_SHADE_MS, 1);
+    return { background: shade(t) };
+  }
+
+  const axis = Array.from({ length: GRID_SIZE }, (_, i) => i + 1);
+
+  return (
+    <div className="mt-6 rounded-xl border p-3">
+      <div className="flex flex-wrap items-center justify-between gap-2 mb-3">
+        <div className="font-semibold">Class analytics</div>
+        <div className="flex gap-2 text-sm">
+          {Object.values(METRICS).map((m) => (
+            <button key={m} onClick={() => setMetric(m)} className={`rounded-full border px-3 py-1 ${metric === m ? "bg-black text-white" : "bg-white"}`}>
+              {m}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <div className="overflow-x-auto">
+        <div className="grid gap-px text-xs" style={{ gridTemplateColumns: `repeat(${GRID_SIZE + 1}, minmax(2.25rem, 1fr))` }}>
+          <div className="p-1 font-semibold text-center">×</div>
+          {axis.map((b) => (
+            <div key={b} className="p-1 font-semibold text-center">{b}</div>
+          ))}
+          {axis.map((a) => [
+            <div key={`h${a}`} className="p-1 font-semibold text-center">{a}</div>,
+            ...axis.map((b) => {
+              const c = grid[a - 1][b - 1];
+              const label = !c.attempts ? "" : metric === METRICS.ERRORS ? `${Math.round(c.errorRate * 100)}%` : formatMs(c.medianMs);
+              return (
+                <div
+                  key={`${a}x${b}`}
+                  className="p-1 text-center rounded"
+                  style={cellStyle(c)}
+                  title={`${a} × ${b}: ${c.attempts} answers, ${c.wrong} wrong, median ${formatMs(c.medianMs)}`}
+                >
+                  {label}
+                </div>
+              );
+            }),
+          ])}
+        </div>
+      </div>
+      <div className="mt-1 text-xs opacity-60">Rows are the first number, columns the second. Grey means no answers yet.</div>
+
+      <div className="grid md:grid-cols-2 gap-4 mt-4">
+        <div>
+          <div className="font-semibold mb-2">Students needing support</div>
+          {support.length ? (
+            <ul className="text-sm list-disc pl-5">
+              {support.map((s) => (
+                <li key={s.key}>
+                  <b>{s.name}</b> ({s.classCode}) – {s.reasons.join("; ")}
+                </li>
+              ))}
+            </ul>
+          ) : (
+            <div className="text-sm opacity-70">Nobody stands out right now.</div>
+          )}
+        </div>
+
+        <div>
+          <div className="font-semibold mb-2">Trends per student</div>
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left">
+                <th className="p-1">Student</th>
+                <th className="p-1 text-green-700">Accuracy</th>
+                <th className="p-1 text-blue-700">Per minute</th>
+              </tr>
+            </thead>
+            <tbody>
+              {trends.map((s) => (
+                <tr key={s.key}>
+                  <td className="p-1">
+                    {s.name} <span className="opacity-60">{s.classCode}</span>
+                  </td>
+                  <td className="p-1">
+                    <Sparkline values={s.sessions.map((x) => x.accuracy)} max={100} color="#15803d" />
+                  </td>
+                  <td className="p-1">
+                    <Sparkline values={s.sessions.map((x) => x.qPerMin)} color="#1d4ed8" />
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </div>
+  );
+}
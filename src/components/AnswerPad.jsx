@@ -0,0 +1,43 @@
+// On-screen answer inputs for tablets (see inputModes.js)
+const padButton = "rounded-2xl border bg-white p-4 text-2xl font-semibold shadow-sm hover:bg-gray-50 disabled:opacity-40";
+
+export function NumberPad({ value, onChange, onSubmit, disabled, maxLength = 6 }) {
+  const press = (d) => value.length < maxLength && onChange(value + d);
+  return (
+    <div role="group" aria-label="Number pad" className="mx-auto mt-4 grid max-w-xs grid-cols-3 gap-2">
+      {[1, 2, 3, 4, 5, 6, 7, 8, 9].map((d) => (
+        <button key={d} className={padButton} disabled={disabled} onClick={() => press(String(d))}>
+          {d}
+        </button>
+      ))}
+      <button className={padButton} disabled={disabled || !value} onClick={() => onChange(value.slice(0, -1))} aria-label="Delete">
+        ⌫
+      </button>
+      <button className={padButton} disabled={disabled} onClick={() => press("0")}>
+        0
+      </button>
+      <button className={`${padButton} bg-black text-white`} disabled={disabled || !value} onClick={onSubmit} aria-label="Submit answer">
+        ✓
+      </button>
+    </div>
+  );
+}
+
+// `ruledOut` are options already tried on this question
+export function AnswerChoices({ choices, ruledOut = [], onChoose, disabled }) {
+  return (
+    <div role="group" aria-label="Answer choices" className="mx-auto mt-4 grid max-w-md grid-cols-2 gap-3">
+      {choices.map((c, i) => (
+        <button
+          key={c}
+          className={padButton}
+          disabled={disabled || ruledOut.includes(c)}
+          onClick={() => onChoose(c)}
+          aria-keyshortcuts={String(i + 1)}
+        >
+          {c}
+        </button>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,243 @@
+import { useState } from "react";
+import { deleteAssignment, listAssignments, saveAssignment } from "../assignments.js";
+import { MAX_FORMS, formLabel, makeForms } from "../forms.js";
+import { MODES, MODE_TYPES, modeLabel, normalizeMode } from "../modes.js";
+import { DEFAULT_FACTOR_A, DEFAULT_FACTOR_B, NUMBER_SETS, describeFactor, factorValues, lowestFactor, poolSize, poolSizeProblem } from "../numberSets.js";
+import { QUESTION_TYPES, QUESTION_TYPE_OPTIONS } from "../questionTypes.js";
+import { MAIN_SCOPE } from "../teacherAuth.js";
+import { clamp } from "../utils.js";
+import { PinConfirm } from "./TeacherLock.jsx";
+import { FactorSetPicker, ModePicker, TablePills, TogglePill } from "./ui.jsx";
+
+const emptyDraft = () => ({
+  name: "",
+  classCode: "",
+  mode: MODES.PRACTICE,
+  questionsTarget: 20,
+  tables: [2, 3, 4, 5],
+  factorA: DEFAULT_FACTOR_A,
+  factorB: DEFAULT_FACTOR_B,
+  questionTypes: [QUESTION_TYPES.MULTIPLY],
+  retries: true,
+  hints: true, // only matters with retries: a hint comes before the next try
+  achievements: true, // badges and streaks; off for assessments
+  forms: [], // none: every student gets their own questions
+});
+
+// `classScope` limits a class-PIN teacher to their own class's assignments
+export default function AssignmentsPanel({ classScope = null, onChange }) {
+  const inScope = () => listAssignments().filter((a) => !classScope || a.classCode === classScope);
+  const [assignments, setAssignments] = useState(inScope);
+  const [draft, setDraft] = useState(emptyDraft);
+  const [deleting, setDeleting] = useState(null); // assignment waiting for the PIN
+  const set = (patch) => setDraft((d) => ({ ...d, ...patch }));
+
+  function refresh() {
+    setAssignments(inScope());
+    onChange?.();
+  }
+
+  function save() {
+    if (!draft.name.trim()) return alert("Please give the assignment a name");
+    if (!classScope && !draft.classCode.trim()) return alert("Please enter the class code it is for");
+    if (draft.factorA.set === NUMBER_SETS.TABLES && !draft.tables.length) return alert("Please choose at least one table");
+    if (!draft.questionTypes.length) return alert("Please choose at least one question type");
+    if (poolProblem) return alert(poolProblem);
+    saveAssignment({ ...draft, name: draft.name.trim(), classCode: classScope || draft.classCode });
+    setDraft(emptyDraft());
+    refresh();
+  }
+
+  function toggleTable(t) {
+    set({ tables: draft.tables.includes(t) ? draft.tables.filter((x) => x !== t) : [...draft.tables, t].sort((a, b) => a - b) });
+  }
+
+  function toggleTypes(types) {
+    set({
+      questionTypes: draft.questionTypes.includes(types[0])
+        ? draft.questionTypes.filter((x) => !types.includes(x))
+        : [...draft.questionTypes, ...types],
+    });
+  }
+
+  const draftMode = normalizeMode(draft.mode);
+  const lowest = lowestFactor(draft.questionTypes);
+  const poolProblem =
+    draftMode.type === MODE_TYPES.MTC
+      ? ""
+      : poolSizeProblem(poolSize(factorValues(draft.factorA, draft.tables, lowest), factorValues(draft.factorB, [], lowest), draft.questionTypes));
+  const isTimed = draftMode.type === MODE_TYPES.TIMED;
+  const isMTC = draftMode.type === MODE_TYPES.MTC;
+
+  return (
+    <div className="mt-6 rounded-xl border p-3">
+      <div className="font-semibold mb-3">Assignments</div>
+
+      <div className="grid gap-3">
+        <div className="grid md:grid-cols-2 gap-3">
+          <input className="rounded-xl border p-2" placeholder="Assignment name (e.g. Week 3 – ×6 and ×7)" value={draft.name} onChange={(e) => set({ name: e.target.value })} />
+          <input
+            className="rounded-xl border p-2"
+            placeholder="Class code (e.g. 4A)"
+            value={classScope || draft.classCode}
+            disabled={Boolean(classScope)}
+            onChange={(e) => set({ classCode: e.target.value })}
+          />
+        </div>
+
+        <div className="flex flex-wrap items-end gap-4">
+          <ModePicker mode={draftMode} onChange={(mode) => set({ mode })} customLength />
+          {!isTimed && !isMTC && (
+            <label className="flex items-center gap-2 text-sm">
+              Questions
+              <input
+                type="number"
+                className="w-20 rounded-xl border p-1"
+                min={5}
+                max={200}
+                value={draft.questionsTarget}
+                onChange={(e) => set({ questionsTarget: clamp(parseInt(e.target.value || "0", 10), 5, 200) })}
+              />
+            </label>
+          )}
+        </div>
+
+        {!isMTC && (
+          <>
+            <FactorSetPicker
+              label="First number"
+              factor={draft.factorA}
+              onChange={(factorA) => set({ factorA })}
+              sets={Object.values(NUMBER_SETS)}
+              lowest={lowest}
+            />
+            {draft.factorA.set === NUMBER_SETS.TABLES && <TablePills selected={draft.tables} onToggle={toggleTable} />}
+            <FactorSetPicker
+              label="Second number"
+              factor={draft.factorB}
+              onChange={(factorB) => set({ factorB })}
+              sets={Object.values(NUMBER_SETS).filter((s) => s !== NUMBER_SETS.TABLES)}
+              lowest={lowest}
+            />
+            {poolProblem && (
+              <div role="alert" className="text-sm text-rose-700">
+                {poolProblem}
+              </div>
+            )}
+            <div className="flex flex-wrap gap-2">
+              {QUESTION_TYPE_OPTIONS.map((opt) => (
+                <TogglePill key={opt.label} selected={draft.questionTypes.includes(opt.types[0])} onClick={() => toggleTypes(opt.types)}>
+                  {opt.label}
+                </TogglePill>
+              ))}
+            </div>
+            <label className="flex items-center gap-2 text-sm">
+              <input type="checkbox" checked={draft.retries} onChange={(e) => set({ retries: e.target.checked })} />
+              Allow second and third tries
+            </label>
+            <label className={`flex items-center gap-2 text-sm ${draft.retries ? "" : "opacity-50"}`}>
+              <input type="checkbox" checked={draft.hints} disabled={!draft.retries} onChange={(e) => set({ hints: e.target.checked })} />
+              Offer hints after a wrong answer (dots, skip-counting, a fact they know)
+            </label>
+          </>
+        )}
+
+        <label className="flex items-center gap-2 text-sm">
+          <input type="checkbox" checked={draft.achievements} onChange={(e) => set({ achievements: e.target.checked })} />
+          Badges and practice streaks (turn off for assessments)
+        </label>
+
+        <div className="flex flex-wrap items-center gap-2 text-sm">
+          <label htmlFor="assignment-forms">Questions</label>
+          <select
+            id="assignment-forms"
+            className="rounded-xl border p-1"
+            value={draft.forms.length}
+            onChange={(e) => set({ forms: makeForms(Number(e.target.value), draft.forms) })}
+          >
+            <option value={0}>Different for each student</option>
+            <option value={1}>The same for everyone</option>
+            {Array.from({ length: MAX_FORMS - 1 }, (_, i) => (
+              <option key={i} value={i + 2}>
+                {i + 2} forms ({Array.from({ length: i + 2 }, (_, n) => formLabel(n).slice(-1)).join("/")})
+              </option>
+            ))}
+          </select>
+          {draft.forms.map((f) => (
+            <span key={f.label} className="px-3 py-1 rounded-full border">
+              {f.label}: <b className="font-mono">{f.code}</b>
+            </span>
+          ))}
+        </div>
+
+        <div>
+          <button onClick={save} className="rounded-xl border px-4 py-2 text-sm font-semibold bg-black text-white">
+            Save assignment
+          </button>
+        </div>
+      </div>
+
+      <table className="w-full text-sm border mt-4">
+        <thead>
+          <tr className="bg-gray-100 text-left">
+            {["Name", "Class", "Mode", "Numbers", "Tries", "Forms", "Active", ""].map((h) => (
+              <th key={h} className="p-2 border-b">{h}</th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {assignments.map((a) => (
+            <tr key={a.id} className="odd:bg-white even:bg-gray-50">
+              <td className="p-2 border-b">{a.name}</td>
+              <td className="p-2 border-b">{a.classCode}</td>
+              <td className="p-2 border-b">
+                {modeLabel(normalizeMode(a.mode))}
+                {a.achievements === false && " · no badges"}
+              </td>
+              <td className="p-2 border-b">
+                {normalizeMode(a.mode).type === MODE_TYPES.MTC ? "MTC form" : `${describeFactor(a.factorA, a.tables)} × ${describeFactor(a.factorB)}`}
+              </td>
+              <td className="p-2 border-b">{a.retries ? (a.hints !== false ? "3, hints" : "3") : "1"}</td>
+              <td className="p-2 border-b">{a.forms?.length ? a.forms.map((f) => `${f.label.slice(-1)}: ${f.code}`).join(", ") : "—"}</td>
+              <td className="p-2 border-b">
+                <input
+                  type="checkbox"
+                  checked={a.active}
+                  onChange={(e) => {
+                    saveAssignment({ ...a, active: e.target.checked });
+                    refresh();
+                  }}
+                />
+              </td>
+              <td className="p-2 border-b">
+                <button
+                  className="underline"
+                  onClick={() => setDeleting(a)}
+                >
+                  Delete
+                </button>
+              </td>
+            </tr>
+          ))}
+          {!assignments.length && (
+            <tr>
+              <td className="p-3" colSpan={8}>No assignments yet. Students choose their own settings until you add one.</td>
+            </tr>
+          )}
+        </tbody>
+      </table>
+      {deleting && (
+        <PinConfirm
+          scope={classScope ?? MAIN_SCOPE}
+          message={`Delete assignment "${deleting.name}"?`}
+          onConfirmed={() => {
+            deleteAssignment(deleting.id);
+            setDeleting(null);
+            refresh();
+          }}
+          onCancel={() => setDeleting(null)}
+        />
+      )}
+    </div>
+  );
+}
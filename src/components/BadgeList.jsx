@@ -0,0 +1,21 @@
+// Badges from achievements.js; with `earned` (id -> date) the rest show as locked
+export default function BadgeList({ badges, earned = null }) {
+  return (
+    <ul className="flex flex-wrap gap-2">
+      {badges.map((b) => {
+        const locked = earned && !earned[b.id];
+        return (
+          <li
+            key={b.id}
+            title={b.description}
+            className={`flex items-center gap-2 rounded-full border px-3 py-1 text-sm ${locked ? "opacity-40" : "bg-amber-50 border-amber-300"}`}
+          >
+            <span aria-hidden="true">{locked ? "🔒" : b.icon}</span>
+            {b.label}
+            {locked && <span className="sr-only">(not earned yet)</span>}
+          </li>
+        );
+      })}
+    </ul>
+  );
+}
@@ -0,0 +1,27 @@
+import { HINT_KINDS } from "../hints.js";
+
+// Draws a hint from makeHint(); the pictures are decorative, the text says it all
+export default function HintPanel({ hint }) {
+  return (
+    <div className="mx-auto mt-4 max-w-md rounded-xl border border-sky-200 bg-sky-50 p-3 text-sky-900">
+      <div className="text-sm font-semibold">💡 Hint</div>
+      {hint.kind === HINT_KINDS.ARRAY && (
+        <div className="my-2 inline-grid gap-1" style={{ gridTemplateColumns: `repeat(${hint.cols}, auto)` }} aria-hidden="true">
+          {Array.from({ length: hint.rows * hint.cols }, (_, i) => (
+            <span key={i} className="block h-3 w-3 rounded-full bg-sky-600" />
+          ))}
+        </div>
+      )}
+      {hint.kind === HINT_KINDS.SKIP && (
+        <div className="my-2 flex flex-wrap justify-center gap-1" aria-hidden="true">
+          {hint.steps.map((n, i) => (
+            <span key={i} className="rounded-lg border border-sky-300 bg-white px-2 py-1 text-sm font-semibold">
+              {n ?? "?"}
+            </span>
+          ))}
+        </div>
+      )}
+      <div className="text-sm">{hint.text}</div>
+    </div>
+  );
+}
@@ -0,0 +1,115 @@
+import { useState } from "react";
+import { normalizeClassCode } from "../assignments.js";
+import { applyMerge, parseResultsFile, planMerge } from "../importResults.js";
+import { MAIN_SCOPE } from "../teacherAuth.js";
+import { PinConfirm } from "./TeacherLock.jsx";
+
+// Load a CSV export or JSON backup, preview what would change, then merge on confirm.
+// `classScope` keeps a class-PIN teacher from importing other classes' rows.
+export default function ImportPanel({ existing, classScope = null, onCommit }) {
+  const [fileName, setFileName] = useState("");
+  const [plan, setPlan] = useState(null);
+  const [replaceConflicts, setReplaceConflicts] = useState(false);
+  const [confirming, setConfirming] = useState(false); // overwriting rows asks for the PIN again
+
+  async function onFile(e) {
+    const file = e.target.files?.[0];
+    e.target.value = ""; // allow picking the same file again
+    if (!file) return;
+    const parsed = parseResultsFile(await file.text(), file.name);
+    if (classScope) {
+      const other = parsed.rows.filter((r) => normalizeClassCode(String(r.row.classCode)) !== classScope);
+      parsed.rows = parsed.rows.filter((r) => !other.includes(r));
+      parsed.malformed.push(...other.map((r) => ({ line: r.line, reason: `belongs to class ${r.row.classCode}` })));
+    }
+    setFileName(file.name);
+    setReplaceConflicts(false);
+    setConfirming(false);
+    setPlan(planMerge(existing, parsed));
+  }
+
+  function commit() {
+    onCommit(applyMerge(existing, plan, { replaceConflicts }));
+    setPlan(null);
+    setConfirming(false);
+  }
+
+  const overwriting = replaceConflicts && plan?.conflicts.length > 0;
+
+  const importing = plan ? plan.added.length + (replaceConflicts ? plan.conflicts.length : 0) : 0;
+
+  return (
+    <div className="mt-6 rounded-xl border p-3">
+      <div className="font-semibold mb-2">Import results</div>
+      <div className="text-sm opacity-70 mb-2">
+        Combine results from other devices: choose a CSV export or a JSON backup. You’ll see a preview before anything
+        is saved.
+      </div>
+      <input type="file" accept=".csv,.json,text/csv,application/json" onChange={onFile} className="text-sm" />
+
+      {plan && (
+        <div className="mt-3 text-sm">
+          <div className="font-semibold">{fileName}</div>
+          <div className="flex flex-wrap gap-3 mt-1">
+            <span className="text-green-700">{plan.added.length} new</span>
+            <span className="opacity-70">{plan.duplicates.length} already here (skipped)</span>
+            <span className="text-amber-700">{plan.conflicts.length} conflicts</span>
+            <span className="text-rose-700">{plan.malformed.length} malformed (skipped)</span>
+          </div>
+
+          {plan.conflicts.length > 0 && (
+            <div className="mt-3">
+              <div className="font-semibold">Conflicts – same student, class and time but different data</div>
+              <ul className="list-disc pl-5">
+                {plan.conflicts.map((c) => (
+                  <li key={c.line}>
+                    Line {c.line}: {c.row.name} ({c.row.classCode}) {c.row.timestamp} – here {c.local.correct}/{c.local.attempts},
+                    file {c.row.correct}/{c.row.attempts}
+                  </li>
+                ))}
+              </ul>
+              <label className="mt-1 flex items-center gap-2">
+                <input type="checkbox" checked={replaceConflicts} onChange={(e) => setReplaceConflicts(e.target.checked)} />
+                Replace these with the imported version (otherwise the copy on this device is kept)
+              </label>
+            </div>
+          )}
+
+          {plan.malformed.length > 0 && (
+            <div className="mt-3">
+              <div className="font-semibold">Malformed rows</div>
+              <ul className="list-disc pl-5 text-rose-700">
+                {plan.malformed.map((m, i) => (
+                  <li key={i}>
+                    {m.line ? `Line ${m.line}` : "File"}: {m.reason}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+
+          <div className="mt-3 flex gap-2">
+            <button
+              disabled={!importing}
+              onClick={() => (overwriting ? setConfirming(true) : commit())}
+              className={`rounded-xl border px-4 py-2 font-semibold ${importing ? "bg-black text-white" : "opacity-50 cursor-not-allowed"}`}
+            >
+              Import {importing} row{importing === 1 ? "" : "s"}
+            </button>
+            <button onClick={() => setPlan(null)} className="rounded-xl border px-4 py-2 bg-white hover:bg-gray-50">
+              Cancel
+            </button>
+          </div>
+          {confirming && (
+            <PinConfirm
+              scope={classScope ?? MAIN_SCOPE}
+              message={`Replace ${plan.conflicts.length} result${plan.conflicts.length === 1 ? "" : "s"} on this device?`}
+              onConfirmed={commit}
+              onCancel={() => setConfirming(false)}
+            />
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
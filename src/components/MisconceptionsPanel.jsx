@@ -0,0 +1,67 @@
+import { useMemo } from "react";
+import { studentKeyOf } from "../analytics.js";
+import { MISCONCEPTIONS, misconceptionsBy } from "../misconceptions.js";
+
+const CATEGORIES = Object.values(MISCONCEPTIONS);
+
+function CountsTable({ title, rows }) {
+  return (
+    <div className="overflow-x-auto">
+      <div className="font-semibold mb-2">{title}</div>
+      <table className="w-full text-sm border">
+        <thead>
+          <tr className="bg-gray-100 text-left">
+            <th className="p-2 border-b"></th>
+            {CATEGORIES.map((c) => (
+              <th key={c.id} className="p-2 border-b">{c.label}</th>
+            ))}
+            <th className="p-2 border-b">Wrong answers</th>
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map((r) => {
+            // the most common named category stands out
+            const top = CATEGORIES.filter((c) => c !== MISCONCEPTIONS.OTHER).reduce((best, c) => ((r.counts[c.id] || 0) > (r.counts[best.id] || 0) ? c : best), MISCONCEPTIONS.ADDED);
+            return (
+              <tr key={r.key} className="odd:bg-white even:bg-gray-50">
+                <td className="p-2 border-b whitespace-nowrap">{r.label}</td>
+                {CATEGORIES.map((c) => (
+                  <td key={c.id} className={`p-2 border-b ${c === top && r.counts[c.id] ? "font-semibold" : ""}`}>
+                    {r.counts[c.id] || ""}
+                  </td>
+                ))}
+                <td className="p-2 border-b">{r.total}</td>
+              </tr>
+            );
+          })}
+          {!rows.length && (
+            <tr>
+              <td className="p-3" colSpan={CATEGORIES.length + 2}>No wrong answers to look at yet.</td>
+            </tr>
+          )}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+export default function MisconceptionsPanel({ results }) {
+  const byClass = useMemo(() => misconceptionsBy(results, (r) => ({ key: String(r.classCode).trim().toUpperCase(), label: `Class ${String(r.classCode).trim().toUpperCase()}` })), [results]);
+  const byStudent = useMemo(
+    () => misconceptionsBy(results, (r) => ({ key: studentKeyOf(r), label: `${String(r.name).trim()} (${String(r.classCode).trim().toUpperCase()})` })),
+    [results]
+  );
+
+  return (
+    <div className="mt-6 rounded-xl border p-3 grid gap-4">
+      <div>
+        <div className="font-semibold">Misconceptions</div>
+        <div className="text-xs opacity-60">
+          Wrong answers sorted by the likely slip: e.g. 15 for 7 × 8 is adding, 48 is one group out, 65 is swapped digits.
+        </div>
+      </div>
+      <CountsTable title="By class" rows={byClass} />
+      <CountsTable title="By student" rows={byStudent} />
+    </div>
+  );
+}
@@ -0,0 +1,112 @@
+import { ALL_BADGES, dailyStreak } from "../achievements.js";
+import { modeKey, modeLabel, rowMode } from "../modes.js";
+import { masteredTables, personalBests } from "../progress.js";
+import { formatMs } from "../utils.js";
+import BadgeList from "./BadgeList.jsx";
+import { Sparkline, Stat } from "./ui.jsx";
+
+const HISTORY_ROWS = 20;
+const TABLES = Array.from({ length: 12 }, (_, i) => i + 1);
+
+const dateOf = (r) => new Date(r.timestamp).toLocaleDateString();
+
+// `results` must already be only this student's (see myResults)
+export default function ProgressPanel({ name, classCode, results, facts, achievements, onClose }) {
+  const bests = personalBests(results);
+  const mastered = masteredTables(facts);
+  const recent = results.slice(-HISTORY_ROWS).reverse();
+
+  return (
+    <div className="mt-6 rounded-2xl border bg-white p-4 shadow-sm grid gap-4">
+      <div className="flex items-center justify-between gap-2">
+        <div>
+          <div className="text-lg font-semibold">My progress</div>
+          <div className="text-sm opacity-70">
+            {name} · Class {classCode}
+          </div>
+        </div>
+        <button onClick={onClose} className="rounded-xl border px-3 py-1 text-sm bg-white hover:bg-gray-50">
+          Close
+        </button>
+      </div>
+
+      {!results.length ? (
+        <div className="text-sm opacity-70">No sessions yet. Finish one and it will show up here.</div>
+      ) : (
+        <>
+          <div>
+            <div className="font-semibold mb-2">Personal bests</div>
+            <div className="grid md:grid-cols-3 gap-3">
+              {bests.map(({ mode, best, sessions }) => (
+                <Stat
+                  key={modeKey(mode)}
+                  label={modeLabel(mode)}
+                  value={`${best.correct} correct`}
+                  sub={`${best.accuracy}% · ${formatMs(Number(best.durationMs))} · ${dateOf(best)} · ${sessions} session${sessions === 1 ? "" : "s"}`}
+                />
+              ))}
+            </div>
+          </div>
+
+          <div>
+            <div className="font-semibold mb-2">Speed</div>
+            <div className="flex items-center gap-3 text-sm">
+              <Sparkline values={results.map((r) => Number(r.qPerMin) || 0)} width={240} height={40} color="#1d4ed8" />
+              <span className="opacity-70">questions per minute, oldest to newest (last: {results[results.length - 1].qPerMin})</span>
+            </div>
+          </div>
+        </>
+      )}
+
+      <div>
+        <div className="font-semibold mb-2">Badges · 🔥 {dailyStreak(achievements.days)} days in a row</div>
+        <BadgeList badges={ALL_BADGES} earned={achievements.badges} />
+      </div>
+
+      <div>
+        <div className="font-semibold mb-2">Tables I know</div>
+        <div className="flex flex-wrap gap-2 text-sm">
+          {TABLES.map((t) => (
+            <span
+              key={t}
+              className={`px-3 py-1 rounded-full border ${mastered.includes(t) ? "bg-green-600 text-white border-green-600" : "opacity-50"}`}
+            >
+              ×{t}
+              {mastered.includes(t) && " ✓"}
+            </span>
+          ))}
+        </div>
+        <div className="mt-1 text-xs opacity-60">A table is ticked once every fact in it has been right first time three reviews in a row.</div>
+      </div>
+
+      {results.length > 0 && (
+        <div className="overflow-x-auto">
+          <div className="font-semibold mb-2">Past sessions</div>
+          <table className="w-full text-sm border">
+            <thead>
+              <tr className="bg-gray-100 text-left">
+                {["Date", "Mode", "Correct", "Accuracy", "Rate", "Time"].map((h) => (
+                  <th key={h} className="p-2 border-b">{h}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {recent.map((r, i) => (
+                <tr key={`${r.timestamp}-${i}`} className="odd:bg-white even:bg-gray-50">
+                  <td className="p-2 border-b">{dateOf(r)}</td>
+                  <td className="p-2 border-b">{modeLabel(rowMode(r))}</td>
+                  <td className="p-2 border-b">
+                    {r.correct}/{r.attempts}
+                  </td>
+                  <td className="p-2 border-b">{r.accuracy}%</td>
+                  <td className="p-2 border-b">{r.qPerMin}/min</td>
+                  <td className="p-2 border-b">{formatMs(Number(r.durationMs))}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,164 @@
+import { useMemo, useState } from "react";
+import { modeLabel, rowMode } from "../modes.js";
+import { RESULT_COLUMNS, cellText, compareBy, toExportRows } from "../resultSchema.js";
+import { dayStamp, downloadText, toCSV } from "../utils.js";
+
+const PAGE_SIZE = 50;
+const selectClass = "rounded-xl border p-1";
+
+const uniqueSorted = (values) => [...new Set(values.filter(Boolean))].sort((a, b) => a.localeCompare(b));
+const modeOf = (r) => modeLabel(rowMode(r));
+
+export default function ResultsTable({ results }) {
+  const [sort, setSort] = useState({ key: "timestamp", dir: "desc" });
+  const [filters, setFilters] = useState({ classCode: "", name: "", mode: "", inputMode: "", form: "", from: "", to: "", search: "" });
+  const [page, setPage] = useState(0);
+  const setFilter = (patch) => {
+    setFilters((f) => ({ ...f, ...patch }));
+    setPage(0);
+  };
+
+  const classes = useMemo(() => uniqueSorted(results.map((r) => String(r.classCode ?? ""))), [results]);
+  const modes = useMemo(() => uniqueSorted(results.map(modeOf)), [results]);
+  const inputModes = useMemo(() => uniqueSorted(results.map((r) => String(r.inputMode ?? ""))), [results]);
+  const forms = useMemo(() => uniqueSorted(results.map((r) => String(r.form ?? ""))), [results]);
+  const names = useMemo(
+    () => uniqueSorted(results.filter((r) => !filters.classCode || r.classCode === filters.classCode).map((r) => String(r.name ?? ""))),
+    [results, filters.classCode]
+  );
+
+  const filtered = useMemo(() => {
+    const q = filters.search.trim().toLowerCase();
+    // date inputs give a local YYYY-MM-DD; an early-morning session's UTC date can be the day before
+    const day = (r) => {
+      const t = Date.parse(r.timestamp);
+      return Number.isNaN(t) ? "" : dayStamp(t);
+    };
+    const rows = results.filter(
+      (r) =>
+        (!filters.classCode || r.classCode === filters.classCode) &&
+        (!filters.name || r.name === filters.name) &&
+        (!filters.mode || modeOf(r) === filters.mode) &&
+        (!filters.inputMode || r.inputMode === filters.inputMode) &&
+        (!filters.form || r.form === filters.form) &&
+        (!filters.from || day(r) >= filters.from) &&
+        (!filters.to || day(r) <= filters.to) &&
+        (!q || RESULT_COLUMNS.some((c) => cellText(r, c).toLowerCase().includes(q)))
+    );
+    const col = RESULT_COLUMNS.find((c) => c.key === sort.key) ?? RESULT_COLUMNS[0];
+    return rows.sort(compareBy(col, sort.dir));
+  }, [results, filters, sort]);
+
+  const pages = Math.max(1, Math.ceil(filtered.length / PAGE_SIZE));
+  const current = Math.min(page, pages - 1);
+  const visible = filtered.slice(current * PAGE_SIZE, (current + 1) * PAGE_SIZE);
+
+  function toggleSort(key) {
+    setSort((s) => (s.key === key ? { key, dir: s.dir === "asc" ? "desc" : "asc" } : { key, dir: "asc" }));
+  }
+
+  return (
+    <div className="mt-3">
+      <div className="flex flex-wrap items-center gap-2 text-sm">
+        <select aria-label="Class" className={selectClass} value={filters.classCode} onChange={(e) => setFilter({ classCode: e.target.value, name: "" })}>
+          <option value="">All classes</option>
+          {classes.map((c) => (
+            <option key={c}>{c}</option>
+          ))}
+        </select>
+        <select aria-label="Student" className={selectClass} value={filters.name} onChange={(e) => setFilter({ name: e.target.value })}>
+          <option value="">All students</option>
+          {names.map((n) => (
+            <option key={n}>{n}</option>
+          ))}
+        </select>
+        <select aria-label="Mode" className={selectClass} value={filters.mode} onChange={(e) => setFilter({ mode: e.target.value })}>
+          <option value="">All modes</option>
+          {modes.map((m) => (
+            <option key={m}>{m}</option>
+          ))}
+        </select>
+        <select aria-label="Input" className={selectClass} value={filters.inputMode} onChange={(e) => setFilter({ inputMode: e.target.value })}>
+          <option value="">All inputs</option>
+          {inputModes.map((m) => (
+            <option key={m}>{m}</option>
+          ))}
+        </select>
+        {forms.length > 0 && (
+          <select aria-label="Form" className={selectClass} value={filters.form} onChange={(e) => setFilter({ form: e.target.value })}>
+            <option value="">All forms</option>
+            {forms.map((f) => (
+              <option key={f}>{f}</option>
+            ))}
+          </select>
+        )}
+        <label className="flex items-center gap-1">
+          From <input type="date" className={selectClass} value={filters.from} onChange={(e) => setFilter({ from: e.target.value })} />
+        </label>
+        <label className="flex items-center gap-1">
+          to <input type="date" className={selectClass} value={filters.to} onChange={(e) => setFilter({ to: e.target.value })} />
+        </label>
+        <input className={selectClass} placeholder="Search…" value={filters.search} onChange={(e) => setFilter({ search: e.target.value })} />
+        <button
+          disabled={!filtered.length}
+          onClick={() => downloadText(`multiplication_results_view_${Date.now()}.csv`, toCSV(toExportRows(filtered)), "text/csv;charset=utf-8;")}
+          className="rounded-xl border px-3 py-1 font-semibold bg-white hover:bg-gray-50"
+        >
+          Export this view
+        </button>
+      </div>
+
+      <div className="overflow-x-auto mt-3">
+        <table className="w-full text-sm border">
+          <thead>
+            <tr className="bg-gray-100 text-left">
+              {RESULT_COLUMNS.map((c) => (
+                <th key={c.key} className="p-2 border-b whitespace-nowrap">
+                  <button onClick={() => toggleSort(c.key)} className="font-semibold">
+                    {c.label}
+                    {sort.key === c.key ? (sort.dir === "asc" ? " ▲" : " ▼") : ""}
+                  </button>
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {visible.map((r, i) => (
+              <tr key={`${r.timestamp}-${r.name}-${i}`} className="odd:bg-white even:bg-gray-50">
+                {RESULT_COLUMNS.map((c) => (
+                  <td key={c.key} className="p-2 border-b">{cellText(r, c)}</td>
+                ))}
+              </tr>
+            ))}
+            {!visible.length && (
+              <tr>
+                <td className="p-3" colSpan={RESULT_COLUMNS.length}>
+                  {results.length ? "No results match these filters." : "No results yet. Run a session to see data here."}
+                </td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="mt-2 flex items-center gap-3 text-sm">
+        <span className="opacity-70">
+          {filtered.length} of {results.length} results
+        </span>
+        {pages > 1 && (
+          <>
+            <button disabled={current === 0} onClick={() => setPage(current - 1)} className="underline disabled:opacity-40">
+              Previous
+            </button>
+            <span>
+              Page {current + 1} of {pages}
+            </span>
+            <button disabled={current >= pages - 1} onClick={() => setPage(current + 1)} className="underline disabled:opacity-40">
+              Next
+            </button>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,196 @@
+import { useState } from "react";
+import { normalizeClassCode } from "../assignments.js";
+import { AVATARS, addPupil, importPupils, listPupils, mergeResultsInto, removePupil, unlinkedNames, updatePupil } from "../roster.js";
+import { MAIN_SCOPE } from "../teacherAuth.js";
+import { PinConfirm } from "./TeacherLock.jsx";
+
+const NEW_PUPIL = "new";
+
+// Teacher-managed pupils for one class, and linking old typed names to them.
+// `classScope` fixes the class for a class-PIN teacher; `existing` is every stored result.
+export default function RosterPanel({ classScope = null, existing, onCommit }) {
+  const [classInput, setClassInput] = useState(classScope ?? "");
+  const classCode = classScope ?? normalizeClassCode(classInput);
+  const [, setWrites] = useState(0); // the roster is read fresh each render; this re-renders after a write
+  const pupils = classCode ? listPupils(classCode) : [];
+  const [newName, setNewName] = useState("");
+  const [message, setMessage] = useState("");
+  const [picked, setPicked] = useState([]); // unlinked name keys to merge
+  const [target, setTarget] = useState(NEW_PUPIL);
+  const [pending, setPending] = useState(null); // { message, run } waiting for the PIN
+  const unlinked = classCode ? unlinkedNames(existing, classCode) : [];
+
+  const changed = (text = "") => {
+    setMessage(text);
+    setWrites((n) => n + 1);
+  };
+
+  function add() {
+    if (!newName.trim()) return;
+    const before = pupils.length;
+    const p = addPupil(newName, classCode);
+    setNewName("");
+    changed(listPupils(classCode).length > before ? `Added ${p.name}.` : `${p.name} is already on the roster.`);
+  }
+
+  async function onFile(e) {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    const { added, skipped } = importPupils(await file.text(), classCode);
+    changed(`Added ${added.length} pupil${added.length === 1 ? "" : "s"}${skipped.length ? `, ${skipped.length} already on the roster` : ""}.`);
+  }
+
+  function rename(p, input) {
+    const name = input.value.trim();
+    if (name === p.name) return;
+    if (!name || pupils.some((o) => o.id !== p.id && o.name.toLowerCase() === name.toLowerCase())) {
+      input.value = p.name;
+      return changed(name ? `There’s already a ${name} in class ${classCode}.` : "");
+    }
+    updatePupil(p.id, { name });
+    changed();
+  }
+
+  function nextAvatar(p) {
+    updatePupil(p.id, { avatar: AVATARS[(AVATARS.indexOf(p.avatar) + 1) % AVATARS.length] });
+    changed();
+  }
+
+  function remove(p) {
+    setPending({
+      message: `Remove ${p.name} from the roster? Their past results are kept.`,
+      run: () => {
+        removePupil(p.id);
+        changed();
+      },
+    });
+  }
+
+  function merge() {
+    const names = unlinked.filter((u) => picked.includes(u.key));
+    if (!names.length) return;
+    const into = target === NEW_PUPIL ? `a new pupil, ${names[0].name}` : pupils.find((p) => p.id === target)?.name;
+    setPending({ message: `Link the results for ${names.map((u) => `“${u.name}”`).join(", ")} to ${into}?`, run: () => mergeNames(names) });
+  }
+
+  function mergeNames(names) {
+    const pupil = target === NEW_PUPIL ? addPupil(names[0].name, classCode) : pupils.find((p) => p.id === target);
+    const count = names.reduce((t, u) => t + u.count, 0);
+    onCommit(mergeResultsInto(existing, picked, pupil));
+    setPicked([]);
+    setTarget(NEW_PUPIL);
+    changed(`Linked ${count} result${count === 1 ? "" : "s"} to ${pupil.name}.`);
+  }
+
+  return (
+    <div className="mt-6 rounded-xl border p-3">
+      <div className="font-semibold mb-1">Class roster</div>
+      <div className="text-sm opacity-70 mb-3">
+        A class with a roster signs in by picking a name, so each pupil stays one person across sessions and devices.
+      </div>
+
+      {!classScope && (
+        <div className="flex items-center gap-2 text-sm mb-3">
+          <label htmlFor="roster-class">Class</label>
+          <input
+            id="roster-class"
+            className="w-24 rounded-xl border p-1"
+            placeholder="e.g. 4A"
+            value={classInput}
+            onChange={(e) => setClassInput(e.target.value)}
+          />
+        </div>
+      )}
+
+      {classCode && (
+        <div className="grid gap-3 text-sm">
+          <ul className="grid md:grid-cols-2 gap-2">
+            {pupils.map((p) => (
+              <li key={p.id} className="flex items-center gap-2">
+                <button onClick={() => nextAvatar(p)} className="text-2xl" aria-label={`Change ${p.name}’s picture`}>
+                  {p.avatar}
+                </button>
+                <input
+                  key={p.name}
+                  className="flex-1 rounded-xl border p-1"
+                  aria-label={`Rename ${p.name}`}
+                  defaultValue={p.name}
+                  onBlur={(e) => rename(p, e.target)}
+                  onKeyDown={(e) => e.key === "Enter" && e.target.blur()}
+                />
+                <button onClick={() => remove(p)} className="underline text-rose-700">
+                  Remove
+                </button>
+              </li>
+            ))}
+            {!pupils.length && <li className="opacity-60">No pupils in class {classCode} yet – they type their name to sign in.</li>}
+          </ul>
+
+          <div className="flex flex-wrap items-center gap-2">
+            <input
+              className="rounded-xl border p-1"
+              aria-label="New pupil name"
+              placeholder="New pupil name"
+              value={newName}
+              onChange={(e) => setNewName(e.target.value)}
+              onKeyDown={(e) => e.key === "Enter" && add()}
+            />
+            <button onClick={add} className="rounded-xl border px-3 py-1 bg-white hover:bg-gray-50">
+              Add
+            </button>
+            <label className="ml-2 opacity-70">
+              Import names (CSV or text, one per line):{" "}
+              <input type="file" accept=".csv,.txt,text/csv,text/plain" onChange={onFile} className="text-sm" />
+            </label>
+          </div>
+
+          {unlinked.length > 0 && (
+            <div className="rounded-xl border bg-gray-50 p-2">
+              <div className="font-semibold">Typed names in past results</div>
+              <div className="opacity-70 mb-1">Tick the names that are the same child, then choose who they belong to.</div>
+              <div className="flex flex-wrap gap-3">
+                {unlinked.map((u) => (
+                  <label key={u.key} className="flex items-center gap-1">
+                    <input
+                      type="checkbox"
+                      checked={picked.includes(u.key)}
+                      onChange={(e) => setPicked(e.target.checked ? [...picked, u.key] : picked.filter((k) => k !== u.key))}
+                    />
+                    “{u.name}” ({u.count})
+                  </label>
+                ))}
+              </div>
+              <div className="mt-2 flex flex-wrap items-center gap-2">
+                <select className="rounded-xl border p-1" aria-label="Merge into" value={target} onChange={(e) => setTarget(e.target.value)}>
+                  <option value={NEW_PUPIL}>A new pupil with the first ticked name</option>
+                  {pupils.map((p) => (
+                    <option key={p.id} value={p.id}>
+                      {p.avatar} {p.name}
+                    </option>
+                  ))}
+                </select>
+                <button onClick={merge} disabled={!picked.length} className="rounded-xl border px-3 py-1 bg-black text-white disabled:opacity-40">
+                  Merge
+                </button>
+              </div>
+            </div>
+          )}
+
+          {pending && (
+            <PinConfirm
+              scope={classScope ?? MAIN_SCOPE}
+              message={pending.message}
+              onConfirmed={() => {
+                pending.run();
+                setPending(null);
+              }}
+              onCancel={() => setPending(null)}
+            />
+          )}
+          {message && <div role="status">{message}</div>}
+        </div>
+      )}
+    </div>
+  );
+}
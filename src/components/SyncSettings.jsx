@@ -0,0 +1,50 @@
+import { useState } from "react";
+import { flushOutbox, getSyncConfig, listOutbox, setSyncConfig } from "../sync.js";
+
+// Teacher-facing settings for the optional results server
+export default function SyncSettings({ status, onStatus }) {
+  const [config, setConfig] = useState(getSyncConfig);
+  const [busy, setBusy] = useState(false);
+  const pending = status?.pending ?? listOutbox().length;
+
+  async function syncNow() {
+    setBusy(true);
+    onStatus(await flushOutbox());
+    setBusy(false);
+  }
+
+  return (
+    <div className="mt-6 rounded-xl border p-3">
+      <div className="font-semibold mb-2">Sync server (optional)</div>
+      <div className="text-sm opacity-70 mb-2">
+        Leave blank to keep results on this device only. With a server set, new results are also sent there and
+        queued while the device is offline.
+      </div>
+      <div className="flex flex-wrap gap-2 text-sm">
+        <input
+          className="rounded-xl border p-1 w-72"
+          placeholder="http://192.168.1.20:8787"
+          value={config.url}
+          onChange={(e) => setConfig({ ...config, url: e.target.value })}
+        />
+        <input
+          className="rounded-xl border p-1"
+          type="password"
+          placeholder="Token (if the server has one)"
+          value={config.token}
+          onChange={(e) => setConfig({ ...config, token: e.target.value })}
+        />
+        <button className="rounded-xl border px-3 py-1 font-semibold" onClick={() => setSyncConfig(config)}>
+          Save
+        </button>
+        <button disabled={busy || !config.url} className="rounded-xl border px-3 py-1" onClick={syncNow}>
+          {busy ? "Syncing…" : "Sync now"}
+        </button>
+      </div>
+      <div className="mt-2 text-sm">
+        {pending ? `${pending} result${pending === 1 ? "" : "s"} waiting to send.` : "Nothing waiting to send."}
+        {status?.error && <span className="text-rose-700"> Last attempt failed: {status.error}</span>}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,169 @@
+import { useState } from "react";
+import {
+  MAIN_SCOPE,
+  MIN_PIN_LENGTH,
+  TeacherAuthError,
+  confirmPin,
+  hasMainAccount,
+  listClassAccounts,
+  removeClassAccount,
+  setPin,
+  unlock,
+} from "../teacherAuth.js";
+
+// Turns any failure into a message: auth failures explain themselves, anything else
+// (e.g. crypto.subtle missing on a plain-http page, or full storage) gets a generic one
+async function attempt(fn, setError) {
+  try {
+    setError("");
+    return await fn();
+  } catch (e) {
+    setError(e instanceof TeacherAuthError ? e.message : "Couldn’t check the PIN on this device. Please try again.");
+    return null;
+  }
+}
+
+const inputClass = "rounded-xl border p-2";
+
+// First run: create the main PIN. Afterwards: unlock with the main PIN or a class PIN.
+export function TeacherUnlock({ onUnlock, onCancel }) {
+  const [setup] = useState(() => !hasMainAccount());
+  const [pin, setPinValue] = useState("");
+  const [confirm, setConfirm] = useState("");
+  const [classCode, setClassCode] = useState("");
+  const [error, setError] = useState("");
+  const [busy, setBusy] = useState(false);
+
+  async function submit(e) {
+    e.preventDefault();
+    setBusy(true);
+    let scope;
+    try {
+      scope = await attempt(async () => {
+        if (setup) {
+          if (pin !== confirm) throw new TeacherAuthError("The two PINs don’t match.");
+          await setPin(MAIN_SCOPE, pin);
+          return MAIN_SCOPE;
+        }
+        return unlock(pin, classCode);
+      }, setError);
+    } finally {
+      setBusy(false);
+    }
+    setPinValue("");
+    setConfirm("");
+    if (scope) onUnlock(scope);
+  }
+
+  return (
+    <form onSubmit={submit} className="mt-6 grid md:grid-cols-3 gap-3 rounded-2xl border bg-white p-4 shadow-sm">
+      <div className="md:col-span-3 text-lg font-semibold">{setup ? "Set up a teacher PIN" : "Teacher sign-in"}</div>
+      {setup ? (
+        <>
+          <input className={inputClass} type="password" autoComplete="new-password" placeholder={`New PIN (${MIN_PIN_LENGTH}+ characters)`} value={pin} onChange={(e) => setPinValue(e.target.value)} />
+          <input className={inputClass} type="password" autoComplete="new-password" placeholder="Repeat PIN" value={confirm} onChange={(e) => setConfirm(e.target.value)} />
+        </>
+      ) : (
+        <>
+          <input className={inputClass} placeholder="Class code (only for a class PIN)" value={classCode} onChange={(e) => setClassCode(e.target.value)} />
+          <input className={inputClass} type="password" autoComplete="current-password" placeholder="Teacher PIN" value={pin} onChange={(e) => setPinValue(e.target.value)} />
+        </>
+      )}
+      <div className="flex gap-2">
+        <button disabled={busy} className="flex-1 rounded-xl border p-2 font-semibold bg-black text-white">
+          {setup ? "Save PIN" : "Unlock"}
+        </button>
+        <button type="button" onClick={onCancel} className="rounded-xl border p-2 hover:bg-gray-50">
+          Cancel
+        </button>
+      </div>
+      {error && <div className="md:col-span-3 text-sm text-rose-700">{error}</div>}
+      {setup && (
+        <div className="md:col-span-3 text-sm opacity-70">
+          This PIN opens the teacher panel on this device. Only a salted hash of it is stored.
+        </div>
+      )}
+    </form>
+  );
+}
+
+// Asks for the PIN again before a destructive action
+export function PinConfirm({ scope, message, onConfirmed, onCancel }) {
+  const [pin, setPinValue] = useState("");
+  const [error, setError] = useState("");
+
+  async function submit(e) {
+    e.preventDefault();
+    const ok = await attempt(() => confirmPin(scope, pin), setError);
+    setPinValue("");
+    if (ok) onConfirmed();
+  }
+
+  return (
+    <form onSubmit={submit} className="mt-3 flex flex-wrap items-center gap-2 rounded-xl border border-rose-200 bg-rose-50 p-3 text-sm">
+      <span className="font-semibold text-rose-800">{message}</span>
+      <input className="rounded-xl border p-1" type="password" autoComplete="current-password" placeholder="Teacher PIN" value={pin} onChange={(e) => setPinValue(e.target.value)} autoFocus />
+      <button className="rounded-xl border px-3 py-1 font-semibold bg-rose-700 text-white">Confirm</button>
+      <button type="button" onClick={onCancel} className="rounded-xl border px-3 py-1 bg-white">Cancel</button>
+      {error && <span className="text-rose-700">{error}</span>}
+    </form>
+  );
+}
+
+// Main account only: give individual classes their own PIN
+export function ClassPins() {
+  const [classes, setClasses] = useState(listClassAccounts);
+  const [classCode, setClassCode] = useState("");
+  const [pin, setPinValue] = useState("");
+  const [error, setError] = useState("");
+  const [removing, setRemoving] = useState(null); // class code waiting for the main PIN
+
+  async function add(e) {
+    e.preventDefault();
+    const done = await attempt(async () => {
+      if (!classCode.trim()) throw new TeacherAuthError("Please enter a class code.");
+      await setPin(classCode, pin);
+      return true;
+    }, setError);
+    if (done) {
+      setClassCode("");
+      setPinValue("");
+      setClasses(listClassAccounts());
+    }
+  }
+
+  return (
+    <div className="mt-6 rounded-xl border p-3">
+      <div className="font-semibold mb-2">Class PINs</div>
+      <div className="text-sm opacity-70 mb-2">A class PIN opens the panel for that class’s results only.</div>
+      <form onSubmit={add} className="flex flex-wrap gap-2 text-sm">
+        <input className="rounded-xl border p-1" placeholder="Class code" value={classCode} onChange={(e) => setClassCode(e.target.value)} />
+        <input className="rounded-xl border p-1" type="password" autoComplete="new-password" placeholder="Class PIN" value={pin} onChange={(e) => setPinValue(e.target.value)} />
+        <button className="rounded-xl border px-3 py-1 font-semibold">Set PIN</button>
+        {error && <span className="text-rose-700">{error}</span>}
+      </form>
+      <div className="mt-2 flex flex-wrap gap-2">
+        {classes.map((c) => (
+          <span key={c} className="px-3 py-1 rounded-full border text-sm">
+            {c}{" "}
+            <button className="underline opacity-70" onClick={() => setRemoving(c)}>
+              remove
+            </button>
+          </span>
+        ))}
+      </div>
+      {removing && (
+        <PinConfirm
+          scope={MAIN_SCOPE}
+          message={`Remove the PIN for class ${removing}?`}
+          onConfirmed={() => {
+            removeClassAccount(removing);
+            setClasses(listClassAccounts());
+            setRemoving(null);
+          }}
+          onCancel={() => setRemoving(null)}
+        />
+      )}
+    </div>
+  );
+}
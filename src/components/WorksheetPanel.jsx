@@ -0,0 +1,154 @@
+import { useMemo, useState } from "react";
+import { createPortal } from "react-dom";
+import { newQuestionCode, normalizeCode, seedFromCode } from "../forms.js";
+import { formatFact } from "../questionTypes.js";
+import { WORKSHEET_SIZES, WORKSHEET_SOURCES, dealWorksheet, factQuestions, settingsDescription, settingsPool, worksheetText } from "../worksheet.js";
+import { clamp } from "../utils.js";
+import { TogglePill } from "./ui.jsx";
+
+const inputClass = "rounded-xl border p-1";
+
+// The pages that go on paper; styled by the .worksheet-* rules in index.css
+function WorksheetSheet({ title, questions, columns, pt, answerKey, footer }) {
+  return (
+    <>
+      <section className="worksheet-page">
+        <h1 className="worksheet-title">{title}</h1>
+        <div>Name ____________________ Date __________</div>
+        <ol className="worksheet-grid" style={{ gridTemplateColumns: `repeat(${columns}, minmax(0, 1fr))`, fontSize: `${pt}pt` }}>
+          {questions.map((q, i) => (
+            <li key={i}>
+              <span className="worksheet-number">{i + 1}.</span> {worksheetText(q)}
+            </li>
+          ))}
+        </ol>
+        <div className="worksheet-footer">{footer}</div>
+      </section>
+      {answerKey && (
+        <section className="worksheet-page">
+          <h2 className="worksheet-title">Answers – {title}</h2>
+          <ol className="worksheet-grid" style={{ gridTemplateColumns: `repeat(${columns}, minmax(0, 1fr))` }}>
+            {questions.map((q, i) => (
+              <li key={i}>
+                <span className="worksheet-number">{i + 1}.</span> {formatFact(q)}
+              </li>
+            ))}
+          </ol>
+          <div className="worksheet-footer">{footer}</div>
+        </section>
+      )}
+    </>
+  );
+}
+
+// `settings` = { aValues, bValues, factorA, factorB, tables, questionTypes } from the settings card;
+// `missed` and `tricky` are [{ a, b }] facts for the other two sources
+export default function WorksheetPanel({ initialSource = WORKSHEET_SOURCES.SETTINGS, settings, missed = [], tricky = [], onClose }) {
+  const [source, setSource] = useState(initialSource);
+  const [count, setCount] = useState(30);
+  const [columns, setColumns] = useState(3);
+  const [size, setSize] = useState("MEDIUM");
+  const [answerKey, setAnswerKey] = useState(true);
+  const [code, setCode] = useState(() => newQuestionCode());
+  const [title, setTitle] = useState("Times tables practice");
+
+  const available = {
+    [WORKSHEET_SOURCES.SETTINGS]: settings.aValues.length > 0 && settings.bValues.length > 0 && settings.questionTypes.length > 0,
+    [WORKSHEET_SOURCES.MISSED]: missed.length > 0,
+    [WORKSHEET_SOURCES.MASTERY]: tricky.length > 0,
+  };
+
+  const questions = useMemo(() => {
+    const pool =
+      source === WORKSHEET_SOURCES.MISSED ? factQuestions(missed) : source === WORKSHEET_SOURCES.MASTERY ? factQuestions(tricky) : settingsPool(settings);
+    return dealWorksheet(pool, count, seedFromCode(code));
+  }, [source, missed, tricky, settings, count, code]);
+
+  const description = source === WORKSHEET_SOURCES.SETTINGS ? settingsDescription(settings) : source.toLowerCase();
+  const footer = `Code ${normalizeCode(code)} · ${description} · ${questions.length} questions – the same code and settings print this sheet again`;
+  const sheet = { title, questions, columns, pt: WORKSHEET_SIZES[size].pt, answerKey, footer };
+
+  return (
+    <div className="mt-6 rounded-2xl border bg-white p-4 shadow-sm">
+      <div className="flex items-center justify-between gap-2 mb-3">
+        <div className="text-lg font-semibold">Print worksheet</div>
+        <button className="text-sm underline" onClick={onClose}>
+          Close
+        </button>
+      </div>
+
+      <div className="flex flex-wrap gap-2">
+        {Object.values(WORKSHEET_SOURCES)
+          .filter((s) => available[s])
+          .map((s) => (
+            <TogglePill key={s} selected={source === s} onClick={() => setSource(s)}>
+              {s}
+            </TogglePill>
+          ))}
+      </div>
+
+      <div className="mt-3 flex flex-wrap items-center gap-3 text-sm">
+        <input aria-label="Sheet title" className={`${inputClass} w-56`} value={title} onChange={(e) => setTitle(e.target.value)} />
+        <label className="flex items-center gap-1">
+          Questions
+          <input
+            type="number"
+            className={`${inputClass} w-20`}
+            min={5}
+            max={120}
+            value={count}
+            onChange={(e) => setCount(clamp(parseInt(e.target.value || "0", 10), 5, 120))}
+          />
+        </label>
+        <label className="flex items-center gap-1">
+          Columns
+          <select className={inputClass} value={columns} onChange={(e) => setColumns(Number(e.target.value))}>
+            {[1, 2, 3, 4, 5].map((n) => (
+              <option key={n}>{n}</option>
+            ))}
+          </select>
+        </label>
+        <label className="flex items-center gap-1">
+          Text size
+          <select className={inputClass} value={size} onChange={(e) => setSize(e.target.value)}>
+            {Object.entries(WORKSHEET_SIZES).map(([key, s]) => (
+              <option key={key} value={key}>
+                {s.label}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label className="flex items-center gap-1">
+          <input type="checkbox" checked={answerKey} onChange={(e) => setAnswerKey(e.target.checked)} />
+          Answer key page
+        </label>
+        <label className="flex items-center gap-1">
+          Code
+          <input className={`${inputClass} w-28 uppercase`} value={code} onChange={(e) => setCode(e.target.value)} />
+        </label>
+        <button className="underline" onClick={() => setCode(newQuestionCode())}>
+          New sheet
+        </button>
+        <button
+          disabled={!questions.length}
+          onClick={() => window.print()}
+          className="rounded-xl border px-4 py-2 font-semibold bg-black text-white"
+        >
+          Print
+        </button>
+      </div>
+
+      <div className="mt-4 max-h-96 overflow-auto rounded-xl border">
+        <WorksheetSheet {...sheet} />
+      </div>
+
+      {/* only this copy is visible on paper; see the print rules in index.css */}
+      {createPortal(
+        <div className="worksheet-print">
+          <WorksheetSheet {...sheet} />
+        </div>,
+        document.body
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,154 @@
+import { useState } from "react";
+import { MODE_TYPES, MODE_TYPE_LABELS, QUESTION_LIMITS_MS, TIMED_LIMITS_MS, TIMED_PRESETS_MS, durationText, normalizeMode } from "../modes.js";
+import { NUMBER_SETS, NUMBER_SET_LABELS, RANGE_LIMIT } from "../numberSets.js";
+import { clamp } from "../utils.js";
+
+// --- Shared UI pieces ---
+export function Stat({ label, value, sub }) {
+  return (
+    <div className="flex-1 rounded-2xl border p-4 shadow-sm">
+      <div className="text-sm opacity-70">{label}</div>
+      <div className="text-2xl font-semibold">{value}</div>
+      {sub && <div className="text-xs opacity-60 mt-1">{sub}</div>}
+    </div>
+  );
+}
+
+// `lowest` is 1 when the question types can't use 0 (see lowestFactor)
+export function FactorSetPicker({ label, factor, onChange, sets, lowest = 0 }) {
+  const setBound = (k, v) => onChange({ ...factor, [k]: clamp(parseInt(v || "0", 10), lowest, RANGE_LIMIT) });
+  return (
+    <div>
+      <div className="text-sm font-semibold mb-2">{label}</div>
+      <div className="flex flex-wrap items-center gap-2">
+        {sets.map((set) => (
+          <TogglePill key={set} selected={factor.set === set} onClick={() => onChange({ ...factor, set })}>
+            {NUMBER_SET_LABELS[set]}
+          </TogglePill>
+        ))}
+        {factor.set === NUMBER_SETS.RANGE && (
+          <span className="flex items-center gap-1 text-sm">
+            <input type="number" className="w-20 rounded-xl border p-1" min={lowest} max={RANGE_LIMIT} value={Math.max(factor.min, lowest)} onChange={(e) => setBound("min", e.target.value)} />
+            to
+            <input type="number" className="w-20 rounded-xl border p-1" min={lowest} max={RANGE_LIMIT} value={factor.max} onChange={(e) => setBound("max", e.target.value)} />
+          </span>
+        )}
+      </div>
+    </div>
+  );
+}
+
+// Mode type, session length for timed, and an optional limit per question.
+// `customLength` adds a minutes box for lengths other than the presets.
+export function ModePicker({ mode, onChange, customLength = false }) {
+  const change = (patch) => onChange(normalizeMode({ ...mode, ...patch }));
+  return (
+    <div className="grid gap-2">
+      <div className="flex flex-wrap items-center gap-2">
+        {Object.values(MODE_TYPES).map((type) => (
+          <TogglePill key={type} selected={mode.type === type} onClick={() => change({ type })}>
+            {MODE_TYPE_LABELS[type]}
+          </TogglePill>
+        ))}
+      </div>
+      {mode.type === MODE_TYPES.TIMED && (
+        <div role="group" aria-label="Session length" className="flex flex-wrap items-center gap-2 text-sm">
+          {TIMED_PRESETS_MS.map((ms) => (
+            <TogglePill key={ms} selected={mode.durationMs === ms} onClick={() => change({ durationMs: ms })}>
+              {durationText(ms)}
+            </TogglePill>
+          ))}
+          {customLength && (
+            <label className="flex items-center gap-1">
+              or
+              <MinutesInput durationMs={mode.durationMs} onCommit={(durationMs) => change({ durationMs })} />
+              minutes
+            </label>
+          )}
+        </div>
+      )}
+      {mode.type !== MODE_TYPES.MTC && (
+        <label className="flex items-center gap-2 text-sm">
+          Time per question
+          <select className="rounded-xl border p-1" value={mode.questionMs} onChange={(e) => change({ questionMs: Number(e.target.value) })}>
+            {QUESTION_LIMITS_MS.map((ms) => (
+              <option key={ms} value={ms}>
+                {ms ? `${ms / 1000} seconds` : "No limit"}
+              </option>
+            ))}
+          </select>
+        </label>
+      )}
+    </div>
+  );
+}
+
+// Free typing (including an empty box) while focused; clamped to the limits on blur or Enter
+function MinutesInput({ durationMs, onCommit }) {
+  const [draft, setDraft] = useState(null); // the typed text while editing
+  const commit = () => {
+    const minutes = Number(draft);
+    if (draft != null && draft.trim() !== "" && Number.isFinite(minutes)) {
+      onCommit(clamp(Math.round(minutes * 60) * 1000, TIMED_LIMITS_MS.min, TIMED_LIMITS_MS.max));
+    }
+    setDraft(null);
+  };
+  return (
+    <input
+      type="number"
+      className="w-20 rounded-xl border p-1"
+      min={TIMED_LIMITS_MS.min / 60000}
+      max={TIMED_LIMITS_MS.max / 60000}
+      step={0.5}
+      value={draft ?? durationMs / 60000}
+      onChange={(e) => setDraft(e.target.value)}
+      onBlur={commit}
+      onKeyDown={(e) => e.key === "Enter" && commit()}
+    />
+  );
+}
+
+export function TogglePill({ selected, onClick, label, children }) {
+  return (
+    <button
+      onClick={onClick}
+      aria-pressed={selected}
+      aria-label={label}
+      className={`px-3 py-1 rounded-full border transition shadow-sm text-sm ${
+        selected ? "bg-black text-white border-black" : "bg-white hover:bg-gray-50"
+      }`}
+    >
+      {children}
+    </button>
+  );
+}
+
+// ×1–×12 on the first row, the extended ×13–×20 tables on the second
+export function TablePills({ selected, onToggle }) {
+  return [
+    [1, 12],
+    [13, 20],
+  ].map(([from, to], row) => (
+    <div key={from} role="group" aria-label={`Times tables ${from} to ${to}`} className={`flex flex-wrap gap-2 ${row ? "mt-2" : ""}`}>
+      {Array.from({ length: to - from + 1 }, (_, i) => i + from).map((t) => (
+        <TogglePill key={t} selected={selected.includes(t)} onClick={() => onToggle(t)} label={`${t} times table`}>
+          ×{t}
+        </TogglePill>
+      ))}
+    </div>
+  ));
+}
+
+// Tiny dependency-free line chart
+export function Sparkline({ values, max, width = 140, height = 32, color }) {
+  if (values.length < 2) return <span className="text-xs opacity-60">{values.length ? "one session" : "—"}</span>;
+  const top = max ?? Math.max(...values, 1);
+  const pts = values
+    .map((v, i) => `${((i / (values.length - 1)) * (width - 4) + 2).toFixed(1)},${(height - 2 - (v / top) * (height - 4)).toFixed(1)}`)
+    .join(" ");
+  return (
+    <svg width={width} height={height} className="inline-block align-middle">
+      <polyline points={pts} fill="none" stroke={color} strokeWidth="2" strokeLinejoin="round" />
+    </svg>
+  );
+}
@@ -0,0 +1,33 @@
+// --- Question codes and forms ---
+// A question code is a short string that seeds the quiz engine, so everyone
+// using the same code and settings gets the same questions in the same order.
+// Teachers hand codes out as lettered forms ("Form A", "Form B", ...) on an
+// assignment; in free practice a student can type one or get a fresh one.
+const CODE_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789"; // no 0/O or 1/I to mix up
+const CODE_LENGTH = 6;
+export const MAX_FORMS = 4;
+
+export const normalizeCode = (code) => String(code ?? "").trim().toUpperCase().replace(/\s+/g, "");
+
+export function newQuestionCode(rand = Math.random) {
+  let code = "";
+  for (let i = 0; i < CODE_LENGTH; i++) code += CODE_ALPHABET[Math.floor(rand() * CODE_ALPHABET.length)];
+  return code;
+}
+
+// FNV-1a over the normalised code, so any text a teacher types works as a code
+export function seedFromCode(code) {
+  let h = 0x811c9dc5;
+  for (const ch of normalizeCode(code)) {
+    h ^= ch.codePointAt(0);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+export const formLabel = (i) => `Form ${String.fromCharCode(65 + i)}`;
+
+// [{ label: "Form A", code }, ...]; `existing` codes are kept so handed-out forms don't change
+export function makeForms(count, existing = []) {
+  return Array.from({ length: count }, (_, i) => ({ label: formLabel(i), code: existing[i]?.code || newQuestionCode() }));
+}
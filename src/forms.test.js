@@ -0,0 +1,29 @@
+import { describe, expect, it } from "vitest";
+import { makeForms, newQuestionCode, normalizeCode, seedFromCode } from "./forms.js";
+import { makeRng } from "./random.js";
+
+describe("question codes", () => {
+  it("gives the same seed however the code is typed", () => {
+    expect(seedFromCode(" ab 12cd ")).toBe(seedFromCode("AB12CD"));
+    expect(normalizeCode(" ab 12cd ")).toBe("AB12CD");
+  });
+
+  it("gives different codes different seeds", () => {
+    expect(seedFromCode("FORM-A")).not.toBe(seedFromCode("FORM-B"));
+  });
+
+  it("makes six-character codes without look-alike characters", () => {
+    const code = newQuestionCode(makeRng(1));
+    expect(code).toMatch(/^[A-HJ-NP-Z2-9]{6}$/);
+  });
+});
+
+describe("makeForms", () => {
+  it("letters the forms and keeps codes already handed out", () => {
+    const two = makeForms(2);
+    expect(two.map((f) => f.label)).toEqual(["Form A", "Form B"]);
+    const three = makeForms(3, two);
+    expect(three.slice(0, 2)).toEqual(two);
+    expect(three[2].label).toBe("Form C");
+  });
+});
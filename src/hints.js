@@ -0,0 +1,68 @@
+// --- Hints after a wrong answer ---
+// A hint is a picture or strategy for the current question, offered after the
+// first miss and shown without asking after the second (see quizEngine.js).
+import { QUESTION_TYPES, expectedAnswer } from "./questionTypes.js";
+
+export const HINT_KINDS = {
+  ARRAY: "array", // rows of dots
+  SKIP: "skip", // a skip-counting strip
+  DERIVED: "derived", // build on a fact they already know
+};
+
+export const HINT_AUTO_AFTER = 2; // misses before a hint shows without asking
+const ARRAY_MAX = 40; // more dots than this are too many to count
+const HINT_MAX_FACTOR = 12; // the strategies are for times tables, not 997 × 2
+
+// The factor shown in a division or missing-factor question
+const knownFactor = (q) => (q.type === QUESTION_TYPES.MISSING_A ? q.b : q.a);
+
+// Bigger numbers need a written method rather than dots or counting
+export const hasHint = (q) => Math.max(q.a, q.b) <= HINT_MAX_FACTOR;
+
+// A multiplication strategy from an easier fact, or null when there isn't a useful one
+export function derivedFact(q) {
+  if (!hasHint(q)) return null;
+  const [small, big] = q.a <= q.b ? [q.a, q.b] : [q.b, q.a];
+  if (small <= 2 || big === 10 || big === 11) return null; // already the easy ones
+  if (big === 9) return `${small} × 9 is ${small} × 10 − ${small}. ${small * 10} − ${small} = ?`;
+  if (small === 9) return `9 × ${big} is 10 × ${big} − ${big}. ${big * 10} − ${big} = ?`;
+  if (small === 5 || big === 5) return `${q.a} × ${q.b} is half of ${small === 5 ? big : small} × 10.`;
+  if (small === 4) return `For × 4, double ${big}, then double again.`;
+  if (big - small === 1) return `${q.a} × ${q.b} is ${small} × ${small} + ${small}. ${small * small} + ${small} = ?`;
+  return `${q.a} × ${q.b} is ${q.a} × ${q.b - 1} + ${q.a}. ${q.a * (q.b - 1)} + ${q.a} = ?`;
+}
+
+// Which hint suits this question: a strategy for the harder multiplications,
+// dots while they're countable, otherwise a skip-counting strip
+export function hintKind(q) {
+  const multiply = (q.type ?? QUESTION_TYPES.MULTIPLY) === QUESTION_TYPES.MULTIPLY;
+  if (multiply && Math.max(q.a, q.b) >= 6 && derivedFact(q)) return HINT_KINDS.DERIVED;
+  if (q.ans <= ARRAY_MAX) return HINT_KINDS.ARRAY;
+  return HINT_KINDS.SKIP;
+}
+
+// { kind, text, rows, cols, steps } ready to draw, or null beyond the times tables;
+// `steps` uses null for the number to find
+export function makeHint(q) {
+  if (!hasHint(q)) return null;
+  const kind = hintKind(q);
+  const multiply = (q.type ?? QUESTION_TYPES.MULTIPLY) === QUESTION_TYPES.MULTIPLY;
+  const step = multiply ? q.b : knownFactor(q);
+  const count = multiply ? q.a : expectedAnswer(q);
+
+  if (kind === HINT_KINDS.DERIVED) return { kind, text: derivedFact(q) };
+  if (kind === HINT_KINDS.ARRAY) {
+    return {
+      kind,
+      rows: count,
+      cols: step,
+      text: multiply ? `${count} rows of ${step} dots. How many dots?` : `${q.ans} dots in rows of ${step}. How many rows?`,
+    };
+  }
+  const steps = Array.from({ length: count }, (_, i) => (i + 1) * step);
+  return {
+    kind,
+    steps: multiply ? [...steps.slice(0, -1), null] : steps,
+    text: multiply ? `Count in ${step}s, ${count} times.` : `Count in ${step}s up to ${q.ans}. How many steps?`,
+  };
+}
@@ -0,0 +1,44 @@
+import { describe, expect, it } from "vitest";
+import { HINT_KINDS, derivedFact, hasHint, hintKind, makeHint } from "./hints.js";
+import { QUESTION_TYPES, makeQuestion } from "./questionTypes.js";
+
+describe("derivedFact", () => {
+  it("builds on an easier fact", () => {
+    expect(derivedFact(makeQuestion(7, 8))).toBe("7 × 8 is 7 × 7 + 7. 49 + 7 = ?");
+    expect(derivedFact(makeQuestion(6, 9))).toBe("6 × 9 is 6 × 10 − 6. 60 − 6 = ?");
+    expect(derivedFact(makeQuestion(5, 7))).toBe("5 × 7 is half of 7 × 10.");
+    expect(derivedFact(makeQuestion(3, 7))).toBe("3 × 7 is 3 × 6 + 3. 18 + 3 = ?");
+  });
+
+  it("leaves the easy tables alone", () => {
+    expect(derivedFact(makeQuestion(2, 8))).toBeNull();
+    expect(derivedFact(makeQuestion(7, 10))).toBeNull();
+  });
+});
+
+describe("makeHint", () => {
+  it("draws small facts as dots", () => {
+    expect(makeHint(makeQuestion(3, 4))).toMatchObject({ kind: HINT_KINDS.ARRAY, rows: 3, cols: 4 });
+    expect(makeHint(makeQuestion(3, 4, QUESTION_TYPES.DIVIDE))).toMatchObject({ kind: HINT_KINDS.ARRAY, rows: 4, cols: 3 });
+  });
+
+  it("gives a strategy for the harder multiplications", () => {
+    expect(hintKind(makeQuestion(7, 8))).toBe(HINT_KINDS.DERIVED);
+  });
+
+  it("skip-counts big facts, hiding the answer when multiplying", () => {
+    expect(makeHint(makeQuestion(11, 8))).toMatchObject({ kind: HINT_KINDS.SKIP, steps: [8, 16, 24, 32, 40, 48, 56, 64, 72, 80, null] });
+    const missing = makeHint(makeQuestion(6, 8, QUESTION_TYPES.MISSING_A));
+    expect(missing.steps).toEqual([8, 16, 24, 32, 40, 48]);
+    expect(missing.text).toBe("Count in 8s up to 48. How many steps?");
+  });
+
+  it("has nothing for facts beyond the times tables", () => {
+    expect(hasHint(makeQuestion(997, 2))).toBe(false);
+    expect(makeHint(makeQuestion(997, 2))).toBeNull();
+    expect(makeHint(makeQuestion(7, 100))).toBeNull();
+    expect(derivedFact(makeQuestion(7, 100))).toBeNull();
+    expect(makeHint(makeQuestion(7, 100, QUESTION_TYPES.DIVIDE))).toBeNull();
+    expect(hasHint(makeQuestion(12, 12))).toBe(true);
+  });
+});
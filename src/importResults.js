@@ -0,0 +1,128 @@
+// --- Import and merge result files from other devices ---
+// Accepts the teacher panel's CSV export or its JSON backup. Nothing is written
+// here: planMerge() builds a preview and applyMerge() returns the merged list.
+import { migrateRow } from "./storage.js";
+import { parseCSV } from "./utils.js";
+
+export const BACKUP_FORMAT = "multitest-results";
+
+const NUMERIC_FIELDS = ["timeLimitMs", "questionLimitMs", "questionsTarget", "attempts", "completed", "correct", "accuracy", "durationMs", "fastestMs", "slowestMs"];
+const REQUIRED_FIELDS = ["timestamp", "name", "classCode"];
+
+export function makeBackup(results) {
+  return JSON.stringify({ format: BACKUP_FORMAT, version: 1, exportedAt: new Date().toISOString(), results }, null, 2);
+}
+
+// Same row shape whether it came from CSV strings, JSON or local storage
+export function normalizeRow(row) {
+  // files from devices that predate the settings columns still have selectedTables,
+  // ones from before input modes have no inputMode, ones from before rosters no studentId,
+  // and ones from before structured modes a mode label instead of modeType
+  const out =
+    "selectedTables" in row && !("factorA" in row)
+      ? migrateRow(row, 1)
+      : !("inputMode" in row)
+      ? migrateRow(row, 2)
+      : !("studentId" in row)
+      ? migrateRow(row, 3)
+      : !("modeType" in row)
+      ? migrateRow(row, 4)
+      : { ...row };
+  for (const f of NUMERIC_FIELDS) {
+    if (typeof out[f] === "string" && out[f].trim() !== "" && !isNaN(Number(out[f]))) out[f] = Number(out[f]);
+  }
+  if (typeof out.events === "string") out.events = out.events ? JSON.parse(out.events) : [];
+  return out;
+}
+
+export const mergeKey = (r) => `${r.timestamp}|${String(r.name).trim().toLowerCase()}|${String(r.classCode).trim().toUpperCase()}`;
+
+function checkRow(row) {
+  const missing = REQUIRED_FIELDS.filter((f) => row[f] == null || String(row[f]).trim() === "");
+  if (missing.length) return `missing ${missing.join(", ")}`;
+  if (isNaN(Date.parse(row.timestamp))) return `bad timestamp "${row.timestamp}"`;
+  return null;
+}
+
+// -> { rows: [{ line, row }], malformed: [{ line, reason }] }; line is 1-based in the file
+export function parseResultsFile(text, filename = "") {
+  const trimmed = text.trim();
+  const rows = [];
+  const malformed = [];
+  const take = (raw, line) => {
+    try {
+      const row = normalizeRow(raw);
+      const problem = checkRow(row);
+      if (problem) malformed.push({ line, reason: problem });
+      else rows.push({ line, row });
+    } catch {
+      malformed.push({ line, reason: "events column is not valid JSON" });
+    }
+  };
+
+  if (filename.toLowerCase().endsWith(".json") || trimmed.startsWith("{") || trimmed.startsWith("[")) {
+    let data;
+    try {
+      data = JSON.parse(trimmed);
+    } catch {
+      return { rows, malformed: [{ line: 0, reason: "file is not valid JSON" }] };
+    }
+    const list = Array.isArray(data) ? data : data?.format === BACKUP_FORMAT ? data.results : null;
+    if (!Array.isArray(list)) return { rows, malformed: [{ line: 0, reason: "not a results backup" }] };
+    list.forEach((r, i) => (r && typeof r === "object" ? take(r, i + 1) : malformed.push({ line: i + 1, reason: "not an object" })));
+    return { rows, malformed };
+  }
+
+  let records;
+  try {
+    records = parseCSV(text);
+  } catch (e) {
+    return { rows, malformed: [{ line: 0, reason: e.message }] };
+  }
+  const [headers, ...body] = records;
+  if (!headers || REQUIRED_FIELDS.some((f) => !headers.includes(f))) {
+    return { rows, malformed: [{ line: 1, reason: `header must include ${REQUIRED_FIELDS.join(", ")}` }] };
+  }
+  body.forEach((rec, i) => {
+    const line = i + 2;
+    if (rec.length !== headers.length) {
+      malformed.push({ line, reason: `expected ${headers.length} fields, found ${rec.length}` });
+      return;
+    }
+    take(Object.fromEntries(headers.map((h, j) => [h, rec[j]])), line);
+  });
+  return { rows, malformed };
+}
+
+// Field-by-field so key order doesn't matter; a CSV blank equals a missing field
+function sameRow(a, b) {
+  const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+  return [...keys].every((k) => JSON.stringify(a[k] ?? "") === JSON.stringify(b[k] ?? ""));
+}
+
+// Sorts incoming rows into new, exact duplicates and conflicts (same key, different data)
+export function planMerge(existing, parsed) {
+  const local = new Map(existing.map((r) => [mergeKey(r), r]));
+  const seen = new Set();
+  const plan = { added: [], duplicates: [], conflicts: [], malformed: [...parsed.malformed] };
+  for (const { line, row } of parsed.rows) {
+    const k = mergeKey(row);
+    if (seen.has(k)) {
+      plan.duplicates.push({ line, row });
+      continue;
+    }
+    seen.add(k);
+    const mine = local.get(k);
+    if (!mine) plan.added.push({ line, row });
+    else if (sameRow(normalizeRow(mine), row)) plan.duplicates.push({ line, row });
+    else plan.conflicts.push({ line, row, local: mine });
+  }
+  return plan;
+}
+
+export function applyMerge(existing, plan, { replaceConflicts = false } = {}) {
+  const replace = new Map(replaceConflicts ? plan.conflicts.map((c) => [mergeKey(c.row), c.row]) : []);
+  const merged = existing.map((r) => replace.get(mergeKey(r)) ?? r);
+  merged.push(...plan.added.map((a) => a.row));
+  return merged.sort((x, y) => String(x.timestamp).localeCompare(String(y.timestamp)));
+}
@@ -0,0 +1,43 @@
+import { describe, expect, it } from "vitest";
+import { normalizeRow, parseResultsFile } from "./importResults.js";
+import { toCSV } from "./utils.js";
+
+const base = { timestamp: "2026-03-02T10:00:00.000Z", name: "Sam", classCode: "4B", correct: 12, events: [] };
+
+describe("normalizeRow", () => {
+  it("upgrades a row from before the settings columns", () => {
+    expect(normalizeRow({ ...base, mode: "Timed (60s)", selectedTables: "2 3" })).toMatchObject({ factorA: "tables 2 3", inputMode: "Keyboard", modeType: "timed" });
+  });
+
+  it("keeps a current row as it is", () => {
+    const row = { ...base, inputMode: "Keyboard", studentId: "", modeType: "timed", timeLimitMs: 180000, questionLimitMs: 5000 };
+    expect(normalizeRow(row)).toEqual(row);
+  });
+
+  it("spots a row from before input modes", () => {
+    expect(normalizeRow({ ...base, mode: "Practice (fixed questions)", factorA: "tables 6" })).toMatchObject({ factorA: "tables 6", inputMode: "Keyboard" });
+  });
+
+  it("spots a row from before rosters", () => {
+    expect(normalizeRow({ ...base, mode: "Practice (fixed questions)", factorA: "tables 6", inputMode: "Choices" })).toMatchObject({ inputMode: "Choices", studentId: "" });
+  });
+
+  it("spots a row with a mode label", () => {
+    expect(normalizeRow({ ...base, mode: "MTC practice check", inputMode: "Keyboard", studentId: "stu_1" })).toMatchObject({ studentId: "stu_1", modeType: "mtc" });
+  });
+});
+
+describe("parseResultsFile", () => {
+  it("reads a CSV export back with numbers and events restored", () => {
+    const row = { ...base, inputMode: "Keyboard", studentId: "", modeType: "timed", timeLimitMs: 180000, questionLimitMs: 5000, events: "[]" };
+    const { rows, malformed } = parseResultsFile(toCSV([row]), "export.csv");
+    expect(malformed).toEqual([]);
+    expect(rows[0].row).toMatchObject({ correct: 12, timeLimitMs: 180000, questionLimitMs: 5000, events: [] });
+  });
+
+  it("upgrades old label-style modes from a CSV", () => {
+    const { rows } = parseResultsFile(toCSV([{ ...base, mode: "Timed (120s)", inputMode: "Keyboard", studentId: "", events: "" }]), "old.csv");
+    expect(rows[0].row).toMatchObject({ modeType: "timed", timeLimitMs: 120000, questionLimitMs: 0 });
+    expect(rows[0].row).not.toHaveProperty("mode");
+  });
+});
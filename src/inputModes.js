@@ -0,0 +1,58 @@
+// --- Answer input modes ---
+// Keyboard is the original text box; the number pad keeps the tablet keyboard
+// from covering the question; multiple choice offers four buttons. The mode is
+// saved with each result so accuracy is only compared like for like.
+import { seedFromCode } from "./forms.js";
+import { QUESTION_TYPES, expectedAnswer } from "./questionTypes.js";
+import { makeRng } from "./random.js";
+import { shuffle } from "./utils.js";
+
+export const INPUT_MODES = {
+  KEYBOARD: "Keyboard",
+  NUMPAD: "Number pad",
+  CHOICE: "Multiple choice",
+};
+
+const CHOICES = 4;
+const PLAUSIBLE = 6; // wrong options are drawn from this many best candidates
+
+const reversedDigits = (n) => Number(String(n).split("").reverse().join(""));
+
+// Wrong answers a child might really give, most plausible first
+export function distractors(q) {
+  const expected = expectedAnswer(q);
+  const candidates =
+    q.type === QUESTION_TYPES.MULTIPLY
+      ? [
+          q.ans - q.b, // one group too few / too many
+          q.ans + q.b,
+          q.ans - q.a,
+          q.ans + q.a,
+          reversedDigits(q.ans), // 65 for 56
+          q.a + q.b, // added instead of multiplied
+          q.ans + 1,
+          q.ans - 1,
+          q.ans + 10,
+          q.ans - 10,
+        ]
+      : [
+          expected + 1, // neighbouring fact in the table
+          expected - 1,
+          q.type === QUESTION_TYPES.MISSING_A ? q.b : q.a, // the number already shown
+          reversedDigits(expected),
+          expected + 2,
+          expected - 2,
+          q.ans,
+        ];
+  const out = [...new Set(candidates)].filter((n) => Number.isInteger(n) && n >= 0 && n !== expected);
+  // tiny facts can run short of sensible mistakes
+  for (let n = expected + 1; out.length < CHOICES - 1; n++) if (!out.includes(n)) out.push(n);
+  return out;
+}
+
+// Four options in a fixed order for this question and session seed
+export function makeChoices(q, seed) {
+  const rand = makeRng(seed ^ seedFromCode(`${q.a}x${q.b}:${q.type}`));
+  const wrong = shuffle(distractors(q).slice(0, PLAUSIBLE), rand).slice(0, CHOICES - 1);
+  return shuffle([expectedAnswer(q), ...wrong], rand);
+}
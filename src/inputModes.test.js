@@ -0,0 +1,35 @@
+import { describe, expect, it } from "vitest";
+import { distractors, makeChoices } from "./inputModes.js";
+import { QUESTION_TYPES, expectedAnswer, makeQuestion } from "./questionTypes.js";
+
+describe("distractors", () => {
+  it("leads with the mistakes children actually make", () => {
+    const wrong = distractors(makeQuestion(7, 8));
+    expect(wrong.slice(0, 4)).toEqual([48, 64, 49, 63]); // a group out either way
+    expect(wrong).toContain(65); // digits swapped
+    expect(wrong).toContain(15); // added
+    expect(wrong).not.toContain(56);
+  });
+
+  it("always finds enough for the smallest facts", () => {
+    for (const type of Object.values(QUESTION_TYPES)) {
+      expect(distractors(makeQuestion(1, 1, type)).length).toBeGreaterThanOrEqual(3);
+    }
+  });
+});
+
+describe("makeChoices", () => {
+  it("offers four different options including the answer", () => {
+    for (const type of Object.values(QUESTION_TYPES)) {
+      const q = makeQuestion(6, 7, type);
+      const choices = makeChoices(q, 1);
+      expect(new Set(choices).size).toBe(4);
+      expect(choices).toContain(expectedAnswer(q));
+    }
+  });
+
+  it("keeps the same options and order for a seed", () => {
+    const q = makeQuestion(9, 6);
+    expect(makeChoices(q, 3)).toEqual(makeChoices(q, 3));
+  });
+});
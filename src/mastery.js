@@ -0,0 +1,86 @@
+// --- Fact mastery (Leitner boxes), persisted per student across sessions ---
+// A fact moves up one box each time it is answered right first time and drops
+// back to box 0 on any miss. Each box has a longer wait before it is due again.
+const MASTERY_KEY = "multitest_mastery_v1";
+const DAY_MS = 24 * 60 * 60 * 1000;
+export const BOX_INTERVAL_DAYS = [0, 1, 2, 4, 7, 14];
+const TOP_BOX = BOX_INTERVAL_DAYS.length - 1;
+
+// 7×8 and 8×7 are the same fact for mastery purposes
+export const factKey = (a, b) => `${Math.min(a, b)}x${Math.max(a, b)}`;
+
+// Students are { id, name, classCode }. Roster pupils (see roster.js) are keyed by
+// id so a rename keeps their data; typed-in names by class and name.
+const nameKey = (name, classCode) => `${classCode.trim().toUpperCase()}|${name.trim().toLowerCase()}`;
+export const studentKey = (student) => (student.id ? `id:${student.id}` : nameKey(student.name, student.classCode));
+
+// A student's entry in a per-student map, falling back to what a roster pupil
+// saved under their typed name before the class had a roster
+export const studentEntry = (all, student) => all[studentKey(student)] ?? all[nameKey(student.name, student.classCode)];
+
+function readAll() {
+  try {
+    return JSON.parse(localStorage.getItem(MASTERY_KEY) || "{}");
+  } catch {
+    return {};
+  }
+}
+
+export function loadMastery(student) {
+  return studentEntry(readAll(), student) || {};
+}
+
+// Returns the updated fact map for this student so callers can keep it in state
+export function recordMastery(student, q, firstTry, now = Date.now()) {
+  const all = readAll();
+  const sk = studentKey(student);
+  const facts = studentEntry(all, student) || {};
+  const k = factKey(q.a, q.b);
+  const prev = facts[k] || { box: 0, seen: 0, wrong: 0 };
+  const box = firstTry ? Math.min(prev.box + 1, TOP_BOX) : 0;
+  facts[k] = {
+    box,
+    seen: prev.seen + 1,
+    wrong: prev.wrong + (firstTry ? 0 : 1),
+    lastSeen: now,
+    due: now + BOX_INTERVAL_DAYS[box] * DAY_MS,
+  };
+  all[sk] = facts;
+  try {
+    localStorage.setItem(MASTERY_KEY, JSON.stringify(all));
+  } catch {
+    // storage full or unavailable – mastery is a nice-to-have, keep the quiz going
+  }
+  return facts;
+}
+
+// How many copies of a fact to put in the pool: due and low-box facts get more
+export function masteryWeight(entry, now = Date.now()) {
+  if (!entry) return 1; // never seen
+  if (entry.due > now) return 1;
+  return 1 + (TOP_BOX - entry.box);
+}
+
+export function weightPoolByMastery(pool, facts, now = Date.now()) {
+  const out = [];
+  for (const q of pool) {
+    const w = masteryWeight(facts[factKey(q.a, q.b)], now);
+    for (let i = 0; i < w; i++) out.push(q);
+  }
+  return out;
+}
+
+// Facts this student has missed before, weakest (lowest box, most misses) first: [{ a, b }]
+export function trickyFacts(facts) {
+  return Object.entries(facts)
+    .filter(([, m]) => m.wrong > 0)
+    .sort(([, x], [, y]) => x.box - y.box || y.wrong - x.wrong)
+    .map(([k]) => {
+      const [a, b] = k.split("x").map(Number);
+      return { a, b };
+    });
+}
+
+export function clearMastery() {
+  localStorage.removeItem(MASTERY_KEY);
+}
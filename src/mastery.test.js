@@ -0,0 +1,64 @@
+import { beforeEach, describe, expect, it, vi } from "vitest";
+import { BOX_INTERVAL_DAYS, factKey, loadMastery, masteryWeight, recordMastery, trickyFacts, weightPoolByMastery } from "./mastery.js";
+import { makeQuestion } from "./questionTypes.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const sam = { id: "", name: "Sam", classCode: "4B" };
+const q78 = makeQuestion(7, 8);
+
+beforeEach(() => {
+  const data = new Map();
+  vi.stubGlobal("localStorage", {
+    getItem: (k) => data.get(k) ?? null,
+    setItem: (k, v) => data.set(k, String(v)),
+    removeItem: (k) => data.delete(k),
+  });
+});
+
+describe("Leitner boxes", () => {
+  it("promotes a fact one box per first-try answer, stopping at the top", () => {
+    let facts;
+    for (let i = 0; i < BOX_INTERVAL_DAYS.length + 2; i++) facts = recordMastery(sam, q78, true, 0);
+    expect(facts[factKey(7, 8)].box).toBe(BOX_INTERVAL_DAYS.length - 1);
+  });
+
+  it("drops a fact back to box 0 on a miss and counts it", () => {
+    recordMastery(sam, q78, true, 0);
+    recordMastery(sam, q78, true, 0);
+    const entry = recordMastery(sam, q78, false, 5)[factKey(7, 8)];
+    expect(entry).toMatchObject({ box: 0, seen: 3, wrong: 1, lastSeen: 5, due: 5 });
+  });
+
+  it("waits longer before each higher box is due", () => {
+    const entry = recordMastery(sam, q78, true, 1000)[factKey(7, 8)];
+    expect(entry.due).toBe(1000 + BOX_INTERVAL_DAYS[1] * DAY_MS);
+  });
+
+  it("treats 8 × 7 as the same fact and keeps it per student", () => {
+    recordMastery(sam, makeQuestion(8, 7), true, 0);
+    expect(loadMastery(sam)[factKey(7, 8)].seen).toBe(1);
+    expect(loadMastery({ ...sam, name: "Ava" })).toEqual({});
+  });
+});
+
+describe("weighting", () => {
+  it("gives due, low-box facts more copies in the pool", () => {
+    const top = BOX_INTERVAL_DAYS.length - 1;
+    expect(masteryWeight(undefined, 0)).toBe(1);
+    expect(masteryWeight({ box: 0, due: 0 }, 0)).toBe(top + 1);
+    expect(masteryWeight({ box: top, due: 0 }, 0)).toBe(1);
+    expect(masteryWeight({ box: 0, due: 10 }, 0)).toBe(1); // not due yet
+    const facts = { [factKey(7, 8)]: { box: 0, due: 0 } };
+    expect(weightPoolByMastery([q78, makeQuestion(2, 3)], facts, 0)).toHaveLength(top + 2);
+  });
+
+  it("lists missed facts weakest first", () => {
+    const facts = {
+      "2x3": { box: 2, wrong: 1 },
+      "6x7": { box: 0, wrong: 1 },
+      "7x8": { box: 0, wrong: 3 },
+      "4x4": { box: 0, wrong: 0 },
+    };
+    expect(trickyFacts(facts)).toEqual([{ a: 7, b: 8 }, { a: 6, b: 7 }, { a: 2, b: 3 }]);
+  });
+});
@@ -0,0 +1,85 @@
+// --- Misconceptions behind wrong answers ---
+// Each wrong answer in a result's `events` is put in at most one category, first
+// match wins. Nothing extra is stored: old results are classified the same way.
+import { QUESTION_TYPES } from "./questionTypes.js";
+
+export const MISCONCEPTIONS = {
+  ADDED: { id: "added", label: "Added instead of multiplied", tip: "You often added instead of multiplied. 7 × 8 means 7 groups of 8." },
+  GROUP: { id: "group", label: "One group out", tip: "You were often one group out. Check by adding or taking away one more group." },
+  REVERSED: { id: "reversed", label: "Digits swapped", tip: "You sometimes swapped the digits round. Say the answer in your head before you type it." },
+  NEAR_FACT: { id: "near-fact", label: "Nearby fact", tip: "You often gave the answer to a nearby fact. Skip-count carefully from one you know." },
+  NEIGHBOUR: { id: "neighbour", label: "One out in the table", tip: "You were often one out when dividing or finding the missing number. Count along the table slowly." },
+  COPIED: { id: "copied", label: "Copied a number from the question", tip: "You sometimes typed a number that was already in the question." },
+  OPERATION: { id: "operation", label: "Multiplied instead of divided", tip: "You sometimes multiplied when the question asked you to divide." },
+  OTHER: { id: "other", label: "Other", tip: null },
+};
+
+const TABLE_LIMIT = 12;
+const NEAR_FACT_GAP = 10; // a times-table answer this close is a skip-counting slip
+
+const isTableProduct = (n) => {
+  for (let x = 1; x <= TABLE_LIMIT; x++) if (n % x === 0 && n / x <= TABLE_LIMIT) return true;
+  return false;
+};
+
+const reversed = (n) => Number(String(n).split("").reverse().join(""));
+
+// The category for one answer event, or null when it was right or left blank
+export function classifyAnswer(e) {
+  if (e.correct || e.timedOut || e.given === "" || e.given == null) return null;
+  const given = Number(e.given);
+  if (!Number.isFinite(given)) return MISCONCEPTIONS.OTHER;
+  const type = e.type ?? QUESTION_TYPES.MULTIPLY;
+  const expected = e.expected ?? e.ans;
+
+  if (expected >= 10 && given !== expected && reversed(given) === expected) return MISCONCEPTIONS.REVERSED;
+  if (type === QUESTION_TYPES.MULTIPLY) {
+    if (given === e.a + e.b) return MISCONCEPTIONS.ADDED;
+    if ([e.ans - e.a, e.ans + e.a, e.ans - e.b, e.ans + e.b].includes(given)) return MISCONCEPTIONS.GROUP;
+    if (Math.abs(given - e.ans) <= NEAR_FACT_GAP && isTableProduct(given)) return MISCONCEPTIONS.NEAR_FACT;
+    return MISCONCEPTIONS.OTHER;
+  }
+  // division and missing factors: the answer is one of the factors
+  if (Math.abs(given - expected) === 1) return MISCONCEPTIONS.NEIGHBOUR;
+  if (type === QUESTION_TYPES.DIVIDE && given === e.ans * e.a) return MISCONCEPTIONS.OPERATION;
+  const shown = type === QUESTION_TYPES.DIVIDE ? [e.ans, e.a] : type === QUESTION_TYPES.MISSING_A ? [e.b, e.ans] : [e.a, e.ans];
+  if (shown.includes(given)) return MISCONCEPTIONS.COPIED;
+  return MISCONCEPTIONS.OTHER;
+}
+
+// { [id]: count } over a list of answer events
+export function countMisconceptions(events) {
+  const counts = {};
+  for (const e of events) {
+    const m = classifyAnswer(e);
+    if (m) counts[m.id] = (counts[m.id] || 0) + 1;
+  }
+  return counts;
+}
+
+const byId = Object.fromEntries(Object.values(MISCONCEPTIONS).map((m) => [m.id, m]));
+
+// Tips worth showing a student: named categories seen at least `min` times, most frequent first
+export function misconceptionTips(events, min = 2) {
+  return Object.entries(countMisconceptions(events))
+    .filter(([id, n]) => n >= min && byId[id].tip)
+    .sort(([, x], [, y]) => y - x)
+    .map(([id, count]) => ({ ...byId[id], count }));
+}
+
+// [{ key, label, counts, total }] with results grouped by keyOf(result) → { key, label }
+export function misconceptionsBy(results, keyOf) {
+  const groups = new Map();
+  for (const r of results) {
+    const { key, label } = keyOf(r);
+    if (!groups.has(key)) groups.set(key, { key, label, events: [] });
+    if (Array.isArray(r.events)) groups.get(key).events.push(...r.events);
+  }
+  return [...groups.values()]
+    .map(({ key, label, events }) => {
+      const counts = countMisconceptions(events);
+      return { key, label, counts, total: Object.values(counts).reduce((t, n) => t + n, 0) };
+    })
+    .filter((g) => g.total > 0)
+    .sort((x, y) => x.label.localeCompare(y.label));
+}
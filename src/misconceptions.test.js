@@ -0,0 +1,53 @@
+import { describe, expect, it } from "vitest";
+import { MISCONCEPTIONS, classifyAnswer, misconceptionTips, misconceptionsBy } from "./misconceptions.js";
+import { QUESTION_TYPES, expectedAnswer, makeQuestion } from "./questionTypes.js";
+
+const wrong = (a, b, given, type = QUESTION_TYPES.MULTIPLY) => {
+  const q = makeQuestion(a, b, type);
+  return { ...q, expected: expectedAnswer(q), given: String(given), correct: false };
+};
+
+describe("classifyAnswer", () => {
+  it("recognises the classic multiplication slips", () => {
+    expect(classifyAnswer(wrong(7, 8, 15))).toBe(MISCONCEPTIONS.ADDED);
+    expect(classifyAnswer(wrong(7, 8, 48))).toBe(MISCONCEPTIONS.GROUP);
+    expect(classifyAnswer(wrong(7, 8, 63))).toBe(MISCONCEPTIONS.GROUP);
+    expect(classifyAnswer(wrong(7, 8, 65))).toBe(MISCONCEPTIONS.REVERSED);
+    expect(classifyAnswer(wrong(7, 8, 54))).toBe(MISCONCEPTIONS.NEAR_FACT);
+    expect(classifyAnswer(wrong(7, 8, 57))).toBe(MISCONCEPTIONS.OTHER);
+  });
+
+  it("recognises division and missing-factor slips", () => {
+    expect(classifyAnswer(wrong(7, 8, 9, QUESTION_TYPES.DIVIDE))).toBe(MISCONCEPTIONS.NEIGHBOUR);
+    expect(classifyAnswer(wrong(3, 8, 3, QUESTION_TYPES.DIVIDE))).toBe(MISCONCEPTIONS.COPIED);
+    expect(classifyAnswer(wrong(7, 8, 392, QUESTION_TYPES.DIVIDE))).toBe(MISCONCEPTIONS.OPERATION);
+    expect(classifyAnswer(wrong(7, 8, 56, QUESTION_TYPES.MISSING_A))).toBe(MISCONCEPTIONS.COPIED);
+  });
+
+  it("leaves right, blank and timed-out answers alone", () => {
+    expect(classifyAnswer({ ...wrong(7, 8, 56), correct: true })).toBeNull();
+    expect(classifyAnswer({ ...wrong(7, 8, ""), given: "" })).toBeNull();
+    expect(classifyAnswer({ a: 7, b: 8, ans: 56, given: "", correct: false, timedOut: true })).toBeNull();
+  });
+
+  it("treats MTC events without a type as multiplication", () => {
+    expect(classifyAnswer({ a: 6, b: 4, ans: 24, given: "10", correct: false })).toBe(MISCONCEPTIONS.ADDED);
+  });
+});
+
+describe("summaries", () => {
+  it("only tips on repeated slips, most frequent first", () => {
+    const events = [wrong(7, 8, 15), wrong(6, 3, 9), wrong(6, 3, 12), wrong(4, 5, 15), wrong(7, 8, 57), wrong(7, 8, 57)];
+    expect(misconceptionTips(events).map((t) => t.id)).toEqual([MISCONCEPTIONS.ADDED.id, MISCONCEPTIONS.GROUP.id]);
+  });
+
+  it("adds up per group and skips groups with no wrong answers", () => {
+    const results = [
+      { classCode: "4A", events: [wrong(7, 8, 15)] },
+      { classCode: "4A", events: [wrong(7, 8, 48), wrong(2, 3, 5)] },
+      { classCode: "4B", events: [{ ...wrong(2, 2, 4), correct: true }] },
+    ];
+    const rows = misconceptionsBy(results, (r) => ({ key: r.classCode, label: r.classCode }));
+    expect(rows).toEqual([{ key: "4A", label: "4A", counts: { added: 2, group: 1 }, total: 3 }]);
+  });
+});
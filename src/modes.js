@@ -0,0 +1,71 @@
+// --- Quiz modes ---
+// A mode is structured config: { type, durationMs, questionMs }. `durationMs` is
+// the whole-session limit for timed sessions; `questionMs` is an optional limit
+// per question in practice or timed sessions (MTC has its own fixed pacing).
+// Labels are for display only and are worked out from the config.
+import { MTC_QUESTION_MS } from "./mtc.js";
+
+export const MODE_TYPES = {
+  PRACTICE: "practice",
+  TIMED: "timed",
+  MTC: "mtc",
+};
+
+export const MODE_TYPE_LABELS = {
+  [MODE_TYPES.PRACTICE]: "Practice (fixed questions)",
+  [MODE_TYPES.TIMED]: "Timed",
+  [MODE_TYPES.MTC]: "MTC practice check",
+};
+
+const mode = (type, durationMs = 0, questionMs = 0) => ({ type, durationMs, questionMs });
+
+// Presets; teachers can also set other lengths (see TIMED_LIMITS_MS)
+export const MODES = {
+  PRACTICE: mode(MODE_TYPES.PRACTICE),
+  TIMED60: mode(MODE_TYPES.TIMED, 60000),
+  TIMED120: mode(MODE_TYPES.TIMED, 120000),
+  MTC: mode(MODE_TYPES.MTC),
+};
+
+export const TIMED_PRESETS_MS = [60000, 120000, 180000, 300000];
+export const TIMED_LIMITS_MS = { min: 30000, max: 1200000 };
+export const QUESTION_LIMITS_MS = [0, 3000, 5000, 6000, 10000, 15000, 20000, 30000]; // 0 = no limit
+
+// Accepts a mode config or a label saved before modes were structured
+export function normalizeMode(m) {
+  if (m && typeof m === "object") {
+    const type = Object.values(MODE_TYPES).includes(m.type) ? m.type : MODE_TYPES.PRACTICE;
+    if (type === MODE_TYPES.MTC) return MODES.MTC;
+    return mode(type, type === MODE_TYPES.TIMED ? Number(m.durationMs) || MODES.TIMED60.durationMs : 0, Number(m.questionMs) || 0);
+  }
+  const label = String(m ?? "");
+  if (label.startsWith("MTC")) return MODES.MTC;
+  const seconds = label.match(/^Timed \((\d+)s\)/);
+  return seconds ? mode(MODE_TYPES.TIMED, Number(seconds[1]) * 1000) : MODES.PRACTICE;
+}
+
+export const durationText = (ms) => (ms % 60000 === 0 ? `${ms / 60000} min` : ms >= 60000 ? `${Math.round(ms / 1000)}s` : `${ms / 1000}s`);
+
+export function modeLabel(m) {
+  if (m.type === MODE_TYPES.MTC) return MODE_TYPE_LABELS[m.type];
+  const base = m.type === MODE_TYPES.TIMED ? `Timed (${durationText(m.durationMs)})` : MODE_TYPE_LABELS[m.type];
+  return m.questionMs ? `${base} · ${m.questionMs / 1000}s per question` : base;
+}
+
+// Same config → same key, for grouping results by mode
+export const modeKey = (m) => `${m.type}:${m.durationMs}:${m.questionMs}`;
+
+// Whole-session time limit, or 0 when the session ends on a question count
+export function modeTimeLimitMs(m) {
+  return m.type === MODE_TYPES.TIMED ? m.durationMs : 0;
+}
+
+// --- Modes on result rows: flat columns so CSV exports stay one value per cell ---
+export const resultModeFields = (m) => ({
+  modeType: m.type,
+  timeLimitMs: modeTimeLimitMs(m),
+  questionLimitMs: m.type === MODE_TYPES.MTC ? MTC_QUESTION_MS : m.questionMs,
+});
+
+export const rowMode = (r) =>
+  normalizeMode({ type: r.modeType, durationMs: Number(r.timeLimitMs) || 0, questionMs: r.modeType === MODE_TYPES.MTC ? 0 : Number(r.questionLimitMs) || 0 });
@@ -0,0 +1,40 @@
+import { describe, expect, it } from "vitest";
+import { MODES, MODE_TYPES, modeKey, modeLabel, normalizeMode, resultModeFields, rowMode } from "./modes.js";
+import { MTC_QUESTION_MS } from "./mtc.js";
+
+describe("normalizeMode", () => {
+  it("reads the labels saved before modes were structured", () => {
+    expect(normalizeMode("Practice (fixed questions)")).toEqual(MODES.PRACTICE);
+    expect(normalizeMode("Timed (60s)")).toEqual(MODES.TIMED60);
+    expect(normalizeMode("Timed (120s)")).toEqual(MODES.TIMED120);
+    expect(normalizeMode("MTC practice check")).toEqual(MODES.MTC);
+    expect(normalizeMode(undefined)).toEqual(MODES.PRACTICE);
+  });
+
+  it("fills in a timed length and drops a per-question limit from MTC", () => {
+    expect(normalizeMode({ type: MODE_TYPES.TIMED })).toEqual(MODES.TIMED60);
+    expect(normalizeMode({ type: MODE_TYPES.MTC, questionMs: 5000 })).toEqual(MODES.MTC);
+  });
+});
+
+describe("modeLabel", () => {
+  it("describes the length and any per-question limit", () => {
+    expect(modeLabel({ ...MODES.TIMED60, durationMs: 300_000 })).toBe("Timed (5 min)");
+    expect(modeLabel({ ...MODES.TIMED60, durationMs: 90_000 })).toBe("Timed (90s)");
+    expect(modeLabel({ ...MODES.PRACTICE, questionMs: 6000 })).toBe("Practice (fixed questions) · 6s per question");
+  });
+});
+
+describe("result rows", () => {
+  it("round-trip a mode through flat columns", () => {
+    const mode = { type: MODE_TYPES.TIMED, durationMs: 180_000, questionMs: 10_000 };
+    expect(resultModeFields(mode)).toEqual({ modeType: "timed", timeLimitMs: 180_000, questionLimitMs: 10_000 });
+    expect(modeKey(rowMode(resultModeFields(mode)))).toBe(modeKey(mode));
+  });
+
+  it("record MTC's fixed pace without treating it as a custom limit", () => {
+    const fields = resultModeFields(MODES.MTC);
+    expect(fields.questionLimitMs).toBe(MTC_QUESTION_MS);
+    expect(rowMode(fields)).toEqual(MODES.MTC);
+  });
+});
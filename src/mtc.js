@@ -0,0 +1,46 @@
+// --- UK Multiplication Tables Check (MTC) simulation ---
+// Mirrors the statutory check: 25 questions, 6s to answer each, a 3s pause in
+// between, no feedback and no second tries. Forms lean on the harder tables
+// (6, 7, 8, 9, 12), go light on ×2, ×5 and ×10, and leave out ×1 entirely.
+import { makeQuestion } from "./questionTypes.js";
+
+export const MTC_QUESTIONS = 25;
+export const MTC_QUESTION_MS = 6000;
+export const MTC_PAUSE_MS = 3000;
+
+// relative weight of each table when building a form
+export const MTC_TABLE_WEIGHTS = { 2: 1, 3: 2, 4: 2, 5: 1, 6: 3, 7: 3, 8: 3, 9: 3, 10: 1, 11: 2, 12: 3 };
+export const MAX_PER_TABLE = 4;
+const OTHER_FACTOR_MIN = 2;
+const OTHER_FACTOR_MAX = 12;
+
+function pickWeighted(weights, rand) {
+  const entries = Object.entries(weights).filter(([, w]) => w > 0);
+  const total = entries.reduce((t, [, w]) => t + w, 0);
+  let r = rand() * total;
+  for (const [k, w] of entries) {
+    r -= w;
+    if (r <= 0) return Number(k);
+  }
+  return Number(entries[entries.length - 1][0]);
+}
+
+// One form of 25 distinct facts; 7×8 and 8×7 never both appear
+export function makeMTCForm(rand = Math.random) {
+  const weights = { ...MTC_TABLE_WEIGHTS };
+  const perTable = {};
+  const used = new Set();
+  const form = [];
+  let guard = 0;
+  while (form.length < MTC_QUESTIONS && guard++ < 10000) {
+    const a = pickWeighted(weights, rand);
+    const b = OTHER_FACTOR_MIN + Math.floor(rand() * (OTHER_FACTOR_MAX - OTHER_FACTOR_MIN + 1));
+    const k = `${Math.min(a, b)}x${Math.max(a, b)}`;
+    if (used.has(k)) continue;
+    used.add(k);
+    form.push(makeQuestion(a, b));
+    perTable[a] = (perTable[a] || 0) + 1;
+    if (perTable[a] >= MAX_PER_TABLE) weights[a] = 0;
+  }
+  return form;
+}
@@ -0,0 +1,30 @@
+import { describe, expect, it } from "vitest";
+import { MAX_PER_TABLE, MTC_QUESTIONS, MTC_TABLE_WEIGHTS, makeMTCForm } from "./mtc.js";
+import { makeRng } from "./random.js";
+
+const forms = Array.from({ length: 200 }, (_, seed) => makeMTCForm(makeRng(seed)));
+
+describe("makeMTCForm", () => {
+  it("asks no table more than MAX_PER_TABLE times", () => {
+    for (const form of forms) {
+      const perTable = {};
+      for (const q of form) perTable[q.a] = (perTable[q.a] ?? 0) + 1;
+      expect(Math.max(...Object.values(perTable))).toBeLessThanOrEqual(MAX_PER_TABLE);
+    }
+  });
+
+  it("builds full forms of distinct facts from the check's tables", () => {
+    for (const form of forms) {
+      expect(form).toHaveLength(MTC_QUESTIONS);
+      expect(new Set(form.map((q) => `${Math.min(q.a, q.b)}x${Math.max(q.a, q.b)}`)).size).toBe(MTC_QUESTIONS);
+      for (const q of form) {
+        expect(Object.keys(MTC_TABLE_WEIGHTS)).toContain(String(q.a));
+        expect(q.b).toBeGreaterThanOrEqual(2);
+      }
+    }
+  });
+
+  it("deals the same form for the same seed", () => {
+    expect(makeMTCForm(makeRng(7))).toEqual(makeMTCForm(makeRng(7)));
+  });
+});
@@ -0,0 +1,65 @@
+// --- Number sets for each factor ---
+// A factor is { set, min, max } plus, for the times-table set, the chosen tables.
+import { QUESTION_TYPES } from "./questionTypes.js";
+
+export const NUMBER_SETS = {
+  TABLES: "tables",
+  RANGE: "range",
+  TENS: "tens",
+  HUNDREDS: "hundreds",
+  TWO_DIGIT: "two-digit",
+};
+
+export const NUMBER_SET_LABELS = {
+  [NUMBER_SETS.TABLES]: "Times tables",
+  [NUMBER_SETS.RANGE]: "Range",
+  [NUMBER_SETS.TENS]: "Multiples of 10",
+  [NUMBER_SETS.HUNDREDS]: "Multiples of 100",
+  [NUMBER_SETS.TWO_DIGIT]: "Two-digit (10–99)",
+};
+
+export const RANGE_LIMIT = 1000;
+export const MAX_POOL_SIZE = 5000; // a bigger deck stalls the page as it's built and saved
+
+export const DEFAULT_FACTOR_A = { set: NUMBER_SETS.TABLES, min: 1, max: 12 };
+export const DEFAULT_FACTOR_B = { set: NUMBER_SETS.RANGE, min: 1, max: 12 };
+
+const range = (from, to, step = 1) => {
+  const out = [];
+  for (let n = from; n <= to; n += step) out.push(n);
+  return out;
+};
+
+// 0 ÷ 0 = ? and ? × 0 = 0 have more than one right answer, so only plain
+// multiplication can use 0 as a factor
+export const lowestFactor = (questionTypes) => (questionTypes.some((t) => t !== QUESTION_TYPES.MULTIPLY) ? 1 : 0);
+
+export function factorValues(f, tables = [], lowest = 0) {
+  switch (f.set) {
+    case NUMBER_SETS.TABLES:
+      return [...tables];
+    case NUMBER_SETS.TENS:
+      return range(10, 90, 10);
+    case NUMBER_SETS.HUNDREDS:
+      return range(100, 900, 100);
+    case NUMBER_SETS.TWO_DIGIT:
+      return range(10, 99);
+    default:
+      return range(Math.max(lowest, f.min), Math.min(f.max, RANGE_LIMIT));
+  }
+}
+
+// Questions one session can deal from: every pair of values, once per question type
+export const poolSize = (aValues, bValues, questionTypes) => aValues.length * bValues.length * questionTypes.length;
+
+export function poolSizeProblem(size) {
+  if (size <= MAX_POOL_SIZE) return "";
+  return `That makes ${size.toLocaleString()} different questions. Narrow a range or pick fewer types to get ${MAX_POOL_SIZE.toLocaleString()} or fewer.`;
+}
+
+// Compact text for result rows, e.g. "tables 2 3 4", "range 1-12", "tens"
+export function describeFactor(f, tables = []) {
+  if (f.set === NUMBER_SETS.TABLES) return `tables ${tables.join(" ")}`;
+  if (f.set === NUMBER_SETS.RANGE) return `range ${f.min}-${f.max}`;
+  return f.set;
+}
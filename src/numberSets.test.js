@@ -0,0 +1,24 @@
+import { describe, expect, it } from "vitest";
+import { MAX_POOL_SIZE, NUMBER_SETS, factorValues, lowestFactor, poolSize, poolSizeProblem } from "./numberSets.js";
+import { QUESTION_TYPES } from "./questionTypes.js";
+
+const range = (min, max) => ({ set: NUMBER_SETS.RANGE, min, max });
+
+describe("factorValues", () => {
+  it("keeps 0 for multiplication only", () => {
+    expect(factorValues(range(0, 3))).toEqual([0, 1, 2, 3]);
+    expect(lowestFactor([QUESTION_TYPES.MULTIPLY])).toBe(0);
+    expect(lowestFactor([QUESTION_TYPES.MULTIPLY, QUESTION_TYPES.DIVIDE])).toBe(1);
+    expect(lowestFactor([QUESTION_TYPES.MISSING_A, QUESTION_TYPES.MISSING_B])).toBe(1);
+    expect(factorValues(range(0, 3), [], 1)).toEqual([1, 2, 3]);
+  });
+});
+
+describe("poolSize", () => {
+  it("flags decks too big to build", () => {
+    const big = factorValues(range(1, 1000));
+    expect(poolSize(big, big, [QUESTION_TYPES.MULTIPLY])).toBe(1_000_000);
+    expect(poolSizeProblem(1_000_000)).toMatch(/different questions/);
+    expect(poolSizeProblem(MAX_POOL_SIZE)).toBe("");
+  });
+});
@@ -0,0 +1,66 @@
+// --- A student's own progress: history, personal bests, mastered tables ---
+// Everything here starts from myResults, so nothing about other students leaks
+// into the student-facing screen.
+import { studentKeyOf } from "./analytics.js";
+import { factKey, studentKey } from "./mastery.js";
+import { modeKey, rowMode } from "./modes.js";
+
+const MASTERED_BOX = 3; // right first time on three spaced reviews in a row
+const TABLES = Array.from({ length: 12 }, (_, i) => i + 1);
+
+const timeOf = (r) => Date.parse(r.timestamp) || 0;
+const inMode = (mode) => (r) => modeKey(rowMode(r)) === modeKey(mode);
+
+// This student's results, oldest first
+export function myResults(results, student) {
+  const key = studentKey(student);
+  return results.filter((r) => studentKeyOf(r) === key).sort((x, y) => timeOf(x) - timeOf(y));
+}
+
+// Higher is better: most correct, then most accurate, then quickest
+function beats(r, best) {
+  const diff = [Number(r.correct) - Number(best.correct), Number(r.accuracy) - Number(best.accuracy), Number(best.durationMs) - Number(r.durationMs)];
+  return diff.find((d) => d !== 0) > 0;
+}
+
+// [{ mode, best, sessions }] one per mode config played, in the order first played
+export function personalBests(results) {
+  const byMode = new Map();
+  for (const r of results) {
+    const mode = rowMode(r);
+    const entry = byMode.get(modeKey(mode));
+    if (!entry) byMode.set(modeKey(mode), { mode, best: r, sessions: 1 });
+    else {
+      entry.sessions += 1;
+      if (beats(r, entry.best)) entry.best = r;
+    }
+  }
+  return [...byMode.values()];
+}
+
+// Times tables (1–12) where every fact up to × 12 has reached MASTERED_BOX
+export function masteredTables(facts) {
+  return TABLES.filter((t) => TABLES.every((n) => (facts[factKey(t, n)]?.box ?? 0) >= MASTERED_BOX));
+}
+
+// How a session compares with the last one in the same mode before it, or null if it's the first
+export function compareWithPrevious(results, mode, before) {
+  const earlier = results.filter((r) => inMode(mode)(r) && timeOf(r) < before);
+  if (!earlier.length) return null;
+  const previous = earlier.reduce((last, r) => (timeOf(r) > timeOf(last) ? r : last));
+  return { previous, correct: Number(previous.correct) || 0, accuracy: Number(previous.accuracy) || 0 };
+}
+
+// The best questions-per-minute in a mode before `before`, or null for a first session
+export function bestRateBefore(results, mode, before) {
+  const rates = results.filter((r) => inMode(mode)(r) && timeOf(r) < before).map((r) => Number(r.qPerMin) || 0);
+  return rates.length ? Math.max(...rates) : null;
+}
+
+// "3 more correct than last time!" and friends
+export function comparisonText(correct, previous) {
+  const diff = correct - previous.correct;
+  if (diff > 0) return `${diff} more correct than last time!`;
+  if (diff === 0) return "The same number correct as last time.";
+  return `${-diff} fewer correct than last time – keep going!`;
+}
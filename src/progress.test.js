@@ -0,0 +1,83 @@
+import { describe, expect, it } from "vitest";
+import { factKey } from "./mastery.js";
+import { MODES, resultModeFields } from "./modes.js";
+import { bestRateBefore, compareWithPrevious, comparisonText, masteredTables, myResults, personalBests } from "./progress.js";
+
+const row = (overrides) => ({
+  timestamp: "2026-03-02T10:00:00.000Z",
+  name: "Sam",
+  classCode: "4B",
+  ...resultModeFields(MODES.PRACTICE),
+  correct: 10,
+  accuracy: 80,
+  durationMs: 60000,
+  qPerMin: "10.0",
+  ...overrides,
+});
+
+describe("myResults", () => {
+  it("keeps only this student's sessions, oldest first", () => {
+    const results = [
+      row({ timestamp: "2026-03-03T10:00:00.000Z" }),
+      row({ name: "Alex" }),
+      row({ classCode: "4C" }),
+      row({ name: " sam ", classCode: "4b", timestamp: "2026-03-01T10:00:00.000Z" }),
+    ];
+    expect(myResults(results, { name: "Sam", classCode: "4B" }).map((r) => r.timestamp)).toEqual(["2026-03-01T10:00:00.000Z", "2026-03-03T10:00:00.000Z"]);
+  });
+});
+
+describe("personalBests", () => {
+  it("picks the most correct per mode, then accuracy, then speed", () => {
+    const bests = personalBests([
+      row({ correct: 12, accuracy: 70 }),
+      row({ correct: 12, accuracy: 90, durationMs: 90000 }),
+      row({ correct: 12, accuracy: 90, durationMs: 70000, timestamp: "2026-03-04T10:00:00.000Z" }),
+      row({ ...resultModeFields(MODES.TIMED60), correct: 5 }),
+    ]);
+    expect(bests.map((b) => [b.mode, b.sessions])).toEqual([
+      [MODES.PRACTICE, 3],
+      [MODES.TIMED60, 1],
+    ]);
+    expect(bests[0].best.timestamp).toBe("2026-03-04T10:00:00.000Z");
+  });
+});
+
+describe("masteredTables", () => {
+  it("needs every fact in the table at the mastered box", () => {
+    const facts = {};
+    for (let n = 1; n <= 12; n++) facts[factKey(2, n)] = { box: 3 };
+    expect(masteredTables(facts)).toEqual([2]);
+    facts[factKey(2, 7)] = { box: 2 };
+    expect(masteredTables(facts)).toEqual([]);
+  });
+});
+
+describe("compareWithPrevious", () => {
+  const history = [
+    row({ timestamp: "2026-03-01T10:00:00.000Z", correct: 8 }),
+    row({ timestamp: "2026-03-02T10:00:00.000Z", correct: 11 }),
+    row({ timestamp: "2026-03-02T11:00:00.000Z", correct: 3, ...resultModeFields(MODES.TIMED60) }),
+    row({ timestamp: "2026-03-03T10:00:00.000Z", correct: 14 }), // this session, already saved
+  ];
+
+  it("uses the latest earlier session in the same mode", () => {
+    const prev = compareWithPrevious(history, MODES.PRACTICE, Date.parse("2026-03-03T09:59:00.000Z"));
+    expect(prev.correct).toBe(11);
+    expect(comparisonText(14, prev)).toBe("3 more correct than last time!");
+    expect(comparisonText(11, prev)).toBe("The same number correct as last time.");
+    expect(comparisonText(9, prev)).toBe("2 fewer correct than last time – keep going!");
+  });
+
+  it("has nothing to compare on a first session", () => {
+    expect(compareWithPrevious(history, MODES.MTC, Date.now())).toBeNull();
+  });
+});
+
+describe("bestRateBefore", () => {
+  it("is the fastest earlier rate in the mode", () => {
+    const history = [row({ qPerMin: "8.5" }), row({ qPerMin: "12.0", timestamp: "2026-03-05T10:00:00.000Z" }), row({ qPerMin: "30.0", ...resultModeFields(MODES.TIMED60) })];
+    expect(bestRateBefore(history, MODES.PRACTICE, Date.parse("2026-03-04T00:00:00.000Z"))).toBe(8.5);
+    expect(bestRateBefore(history, MODES.MTC, Date.now())).toBeNull();
+  });
+});
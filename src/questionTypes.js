@@ -0,0 +1,49 @@
+// --- Question types (fact families) ---
+// Every question is still built on one fact a × b = ans; the type decides which
+// part is hidden. For division the table (a) is the divisor: 56 ÷ 7 = ?
+export const QUESTION_TYPES = {
+  MULTIPLY: "multiply",
+  DIVIDE: "divide",
+  MISSING_A: "missing-a",
+  MISSING_B: "missing-b",
+};
+
+// What teachers pick in the settings card; "missing factor" covers both blanks
+export const QUESTION_TYPE_OPTIONS = [
+  { label: "Multiply (7 × 8 = ?)", types: [QUESTION_TYPES.MULTIPLY] },
+  { label: "Divide (56 ÷ 7 = ?)", types: [QUESTION_TYPES.DIVIDE] },
+  { label: "Missing factor (? × 8 = 56)", types: [QUESTION_TYPES.MISSING_A, QUESTION_TYPES.MISSING_B] },
+];
+
+export const makeQuestion = (a, b, type = QUESTION_TYPES.MULTIPLY) => ({ a, b, ans: a * b, type });
+
+// The number the student has to type
+export function expectedAnswer(q) {
+  switch (q.type) {
+    case QUESTION_TYPES.DIVIDE:
+    case QUESTION_TYPES.MISSING_B:
+      return q.b;
+    case QUESTION_TYPES.MISSING_A:
+      return q.a;
+    default:
+      return q.ans;
+  }
+}
+
+export function formatQuestion(q) {
+  switch (q.type) {
+    case QUESTION_TYPES.DIVIDE:
+      return `${q.ans} ÷ ${q.a} = ?`;
+    case QUESTION_TYPES.MISSING_A:
+      return `? × ${q.b} = ${q.ans}`;
+    case QUESTION_TYPES.MISSING_B:
+      return `${q.a} × ? = ${q.ans}`;
+    default:
+      return `${q.a} × ${q.b} = ?`;
+  }
+}
+
+// The completed fact, as shown when an answer is revealed
+export function formatFact(q) {
+  return q.type === QUESTION_TYPES.DIVIDE ? `${q.ans} ÷ ${q.a} = ${q.b}` : `${q.a} × ${q.b} = ${q.ans}`;
+}
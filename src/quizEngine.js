@@ -0,0 +1,427 @@
+// --- Headless quiz engine ---
+// A session is one plain state object moved on by quizReducer(state, action).
+// There are no timers, DOM or storage in here: the UI dispatches actions with
+// the current time (`now`) and reacts to the new state. All randomness comes
+// from seeded generators kept in state, so a seed replays a session.
+import { HINT_AUTO_AFTER, hasHint } from "./hints.js";
+import { weightPoolByMastery } from "./mastery.js";
+import { MODE_TYPES, modeTimeLimitMs, normalizeMode } from "./modes.js";
+import { MTC_PAUSE_MS, MTC_QUESTIONS, MTC_QUESTION_MS, makeMTCForm } from "./mtc.js";
+import { QUESTION_TYPES, expectedAnswer, makeQuestion } from "./questionTypes.js";
+import { makeRng } from "./random.js";
+import { STRATEGIES, pickAdaptive } from "./selection.js";
+import { shuffle } from "./utils.js";
+
+export const QUIZ_STATUS = {
+  IDLE: "idle",
+  RUNNING: "running",
+  FINISHED: "finished",
+};
+
+const REVISIT_COOLDOWN = 2; // other questions answered before a missed one can come back
+const REVISIT_CHANCE = 0.6; // chance of serving an eligible revisit instead of a fresh question
+const REVISIT_STREAM = 0x9e3779b9; // revisit choices get their own generator (see pickNext)
+
+// 7 × 8 and 56 ÷ 7 are separate questions: each is revisited and counted on its own
+export const keyFor = (q) => `${q.a}x${q.b}:${q.type ?? QUESTION_TYPES.MULTIPLY}`;
+const sameQuestion = (x, y) => x.a === y.a && x.b === y.b && x.type === y.type;
+
+// A question is over once it's right, out of tries or out of time; each event is one submission (or timeout)
+export const endsQuestion = (event, maxTries) => event.correct || event.timedOut || event.attempt >= maxTries;
+
+// --- Question pool ---
+// `aValues`/`bValues` come from the factor number sets (see numberSets.js).
+// `mastery` (factKey -> Leitner entry) repeats due/weak facts so they come up more often;
+// each fact appears once per selected question type so mixed sets stay balanced
+export function makeQuestionPool(aValues, bValues, mastery = null, types = [QUESTION_TYPES.MULTIPLY], rand = Math.random, now = Date.now()) {
+  const pool = [];
+  for (const a of aValues) {
+    for (const b of bValues) {
+      for (const type of types) pool.push(makeQuestion(a, b, type));
+    }
+  }
+  return shuffle(mastery ? weightPoolByMastery(pool, mastery, now) : pool, rand);
+}
+
+const SESSION = {
+  config: null,
+  rng: 0, // fresh questions: deck shuffles, adaptive picks
+  revisitRng: 0, // whether and which revisit comes next
+  pool: [], // dealt in order as a deck, reshuffled when it runs out
+  deckPos: 0,
+  current: null,
+  prev: null,
+  startedAt: null,
+  finishedAt: null,
+  lastSubmitAt: null,
+  endsAt: null, // whole-session deadline for timed modes
+  questionEndsAt: null, // deadline for the current question when the mode has a per-question limit
+  pausedAt: null, // practice only: the clock is stopped and the question hidden
+  pausedMs: 0, // total time spent paused, left out of the duration
+  mtcPhase: null, // "question" | "pause" during an MTC check
+  phaseEndsAt: null,
+  attempts: 0, // total submissions
+  completed: 0, // questions finished with (correct or out of tries)
+  correct: 0,
+  streak: 0,
+  fastest: null,
+  slowest: null,
+  attemptsOnCurrent: 0,
+  hintShown: false, // a hint is up for the current question
+  feedback: null, // { type: "correct" | "incorrect" | "reveal", question, given }
+  missedMap: {}, // key -> { a, b, ans, count, last }: facts missed at least once
+  events: [], // one per submission, saved with the result
+  revisitQueue: [], // [{ ...question, scheduledAt }]
+  scheduled: [], // keys already queued once, so a fact isn't queued twice
+  stepCount: 0, // questions completed, used for the revisit cool-down
+};
+
+export const IDLE_QUIZ = { ...SESSION, status: QUIZ_STATUS.IDLE };
+
+// config: { mode (see modes.js), strategy, questionsTarget, maxTries, hints, seed, aValues, bValues, questionTypes, mastery }
+export function startQuiz(config, now) {
+  const { mastery, ...rest } = config;
+  const rand = makeRng(config.seed);
+  const mode = normalizeMode(config.mode);
+  const isMTC = mode.type === MODE_TYPES.MTC;
+  // MTC forms ignore the chosen numbers and are asked in order
+  const pool = isMTC
+    ? makeMTCForm(rand)
+    : makeQuestionPool(config.aValues, config.bValues, mastery, config.questionTypes, rand, now);
+  const limit = modeTimeLimitMs(mode);
+  return {
+    ...SESSION,
+    status: QUIZ_STATUS.RUNNING,
+    config: { ...rest, mode, maxTries: isMTC ? 1 : config.maxTries, hints: !isMTC && !!config.hints },
+    rng: rand.state(),
+    revisitRng: makeRng(config.seed ^ REVISIT_STREAM).state(),
+    pool,
+    deckPos: 1,
+    current: pool[0] ?? null,
+    startedAt: now,
+    lastSubmitAt: now,
+    endsAt: limit ? now + limit : null,
+    questionEndsAt: mode.questionMs ? now + mode.questionMs : null,
+    mtcPhase: isMTC ? "question" : null,
+    phaseEndsAt: isMTC ? now + MTC_QUESTION_MS : null,
+  };
+}
+
+function finish(state, now) {
+  return { ...state, status: QUIZ_STATUS.FINISHED, finishedAt: now, mtcPhase: null, phaseEndsAt: null, questionEndsAt: null };
+}
+
+function recordMiss(missedMap, q, last) {
+  const k = keyFor(q);
+  const entry = missedMap[k] || { a: q.a, b: q.b, ans: q.ans, type: q.type, count: 0, last: null };
+  return { ...missedMap, [k]: { ...entry, count: entry.count + 1, last } };
+}
+
+function timing(state, ms) {
+  return {
+    fastest: state.fastest == null ? ms : Math.min(state.fastest, ms),
+    slowest: state.slowest == null ? ms : Math.max(state.slowest, ms),
+  };
+}
+
+// A missed question comes back later, once, unless it was itself a revisit
+function scheduleRevisit(state, q) {
+  const k = keyFor(q);
+  if (q.fromRevisit || state.scheduled.includes(k)) return state;
+  return {
+    ...state,
+    scheduled: [...state.scheduled, k],
+    revisitQueue: [...state.revisitQueue, { ...q, scheduledAt: state.stepCount }],
+  };
+}
+
+// Next card off the deck, never the question just asked unless nothing else is left
+function dealFresh(state, prev, rand) {
+  let pool = state.pool;
+  let i = state.deckPos;
+  if (i >= pool.length) {
+    pool = shuffle(pool, rand);
+    i = 0;
+  }
+  if (prev && sameQuestion(pool[i], prev)) {
+    const j = pool.findIndex((q, n) => n > i && !sameQuestion(q, prev));
+    if (j > i) {
+      pool = [...pool];
+      [pool[i], pool[j]] = [pool[j], pool[i]];
+    }
+  }
+  return { ...state, pool, deckPos: i + 1, current: pool[i] };
+}
+
+// Fresh questions come off the seeded deck whatever the student answers, and
+// revisits draw from their own generator, so two students on the same code see
+// the same fresh questions in the same order with only their revisits in between.
+function pickNext(state, rand) {
+  const prev = state.current;
+  // Adaptive weighting covers revisits itself (missed facts weigh more)
+  if (state.config.strategy === STRATEGIES.ADAPTIVE) {
+    return { ...state, prev, current: pickAdaptive(prev, state.pool, state.events, rand) };
+  }
+  const revisitRand = makeRng(state.revisitRng);
+  // stepCount has moved past the missed question itself, then past the cool-down
+  const eligible = state.revisitQueue.filter((it) => state.stepCount - it.scheduledAt > REVISIT_COOLDOWN);
+  if (eligible.length > 0 && revisitRand() < REVISIT_CHANCE) {
+    const item = eligible[Math.floor(revisitRand() * eligible.length)];
+    const { scheduledAt: _scheduledAt, ...q } = item;
+    return {
+      ...state,
+      prev,
+      revisitRng: revisitRand.state(),
+      current: { ...q, fromRevisit: true },
+      revisitQueue: state.revisitQueue.filter((x) => x !== item),
+      scheduled: state.scheduled.filter((k) => k !== keyFor(item)),
+    };
+  }
+  return { ...dealFresh(state, prev, rand), prev, revisitRng: revisitRand.state() };
+}
+
+// The current question is done (correct, revealed after the last try, or out of time)
+function advance(state, rand, now) {
+  const { questionMs } = state.config.mode;
+  const next = { ...state, completed: state.completed + 1, stepCount: state.stepCount + 1, attemptsOnCurrent: 0, hintShown: false };
+  if (!state.endsAt && next.completed >= state.config.questionsTarget) return finish({ ...next, rng: rand.state() }, now);
+  return { ...pickNext(next, rand), rng: rand.state(), questionEndsAt: questionMs ? now + questionMs : null };
+}
+
+// --- MTC flow: one timed try per question, then a pause with the question hidden ---
+function answerMTC(state, given, now) {
+  const q = state.current;
+  const timedOut = given == null;
+  const isCorrect = !timedOut && Number(given) === q.ans;
+  const ms = now - state.lastSubmitAt;
+  const next = {
+    ...state,
+    events: [
+      ...state.events,
+      {
+        a: q.a,
+        b: q.b,
+        ans: q.ans,
+        type: q.type,
+        expected: expectedAnswer(q),
+        given: given ?? "",
+        correct: isCorrect,
+        ms,
+        attempt: 1,
+        fromRevisit: false,
+        revealed: false,
+        timedOut,
+        atMs: now - state.startedAt,
+      },
+    ],
+    attempts: state.attempts + 1,
+    correct: state.correct + (isCorrect ? 1 : 0),
+    completed: state.completed + 1,
+    lastSubmitAt: now,
+    ...(isCorrect ? timing(state, ms) : { missedMap: recordMiss(state.missedMap, q, timedOut ? null : Number(given)) }),
+  };
+  if (next.completed >= Math.min(MTC_QUESTIONS, state.pool.length)) return finish(next, now);
+  return { ...next, mtcPhase: "pause", phaseEndsAt: now + MTC_PAUSE_MS };
+}
+
+function nextMTCQuestion(state, now) {
+  return {
+    ...state,
+    current: state.pool[state.completed],
+    mtcPhase: "question",
+    phaseEndsAt: now + MTC_QUESTION_MS,
+    lastSubmitAt: now,
+  };
+}
+
+// --- Per-question limit: running out of time is a miss that ends the question ---
+function questionTimeout(state, now) {
+  const q = state.current;
+  const attemptNo = state.attemptsOnCurrent + 1;
+  const next = {
+    ...state,
+    events: [
+      ...state.events,
+      {
+        a: q.a,
+        b: q.b,
+        ans: q.ans,
+        type: q.type,
+        expected: expectedAnswer(q),
+        given: "",
+        correct: false,
+        ms: now - state.lastSubmitAt,
+        attempt: attemptNo,
+        fromRevisit: !!q.fromRevisit,
+        revealed: true,
+        hinted: state.hintShown,
+        timedOut: true,
+        atMs: now - state.startedAt,
+      },
+    ],
+    lastSubmitAt: now,
+    attempts: state.attempts + 1,
+    streak: 0,
+    attemptsOnCurrent: attemptNo,
+    missedMap: recordMiss(state.missedMap, q, null),
+    feedback: { type: "timeout", question: q, given: "" },
+  };
+  // already queued for a revisit if an earlier try on it was wrong
+  return advance(attemptNo === 1 ? scheduleRevisit(next, q) : next, makeRng(state.rng), now);
+}
+
+// Applies every deadline that has passed by `now`, at the moment it passed,
+// so a late tick (e.g. a throttled background tab) catches up exactly
+function tick(state, now) {
+  if (state.status !== QUIZ_STATUS.RUNNING || state.pausedAt != null) return state;
+  const questionFirst = state.questionEndsAt != null && state.questionEndsAt < state.endsAt; // a question that ran out before the session did
+  if (state.endsAt != null && now >= state.endsAt && !questionFirst) return finish(state, state.endsAt);
+  if (state.mtcPhase && now >= state.phaseEndsAt) {
+    const next = state.mtcPhase === "question" ? answerMTC(state, null, state.phaseEndsAt) : nextMTCQuestion(state, state.phaseEndsAt);
+    return tick(next, now);
+  }
+  if (state.questionEndsAt != null && now >= state.questionEndsAt) return tick(questionTimeout(state, state.questionEndsAt), now);
+  return state;
+}
+
+// --- Pause: untimed practice only, timed modes and MTC keep running ---
+export const canPause = (state) => state.status === QUIZ_STATUS.RUNNING && state.config.mode.type === MODE_TYPES.PRACTICE;
+
+function pause(state, now) {
+  return canPause(state) && state.pausedAt == null ? { ...state, pausedAt: now } : state;
+}
+
+function resume(state, now) {
+  if (state.pausedAt == null) return state;
+  const gap = now - state.pausedAt;
+  // the question's own timer skips the pause too
+  return {
+    ...state,
+    pausedAt: null,
+    pausedMs: state.pausedMs + gap,
+    lastSubmitAt: state.lastSubmitAt + gap,
+    questionEndsAt: state.questionEndsAt == null ? null : state.questionEndsAt + gap,
+  };
+}
+
+// A session saved at `savedAt` and loaded again at `now` (e.g. after a reload).
+// Practice comes back paused from when it was saved; timed modes are strict, so
+// their clocks ran on while the page was away and may have run out.
+export function restoreQuiz(saved, savedAt, now) {
+  if (saved?.status !== QUIZ_STATUS.RUNNING) return IDLE_QUIZ;
+  // sessions saved before modes were structured hold a label
+  const state = { ...SESSION, ...saved, config: { ...saved.config, mode: normalizeMode(saved.config.mode) } };
+  return canPause(state) ? pause(state, Math.min(savedAt, now)) : tick(state, now);
+}
+
+function submit(state, answer, now) {
+  state = tick(state, now);
+  if (state.status !== QUIZ_STATUS.RUNNING || !state.current || state.pausedAt != null) return state;
+  if (state.mtcPhase) return state.mtcPhase === "question" && answer !== "" ? answerMTC(state, answer, now) : state;
+
+  const q = state.current;
+  const rand = makeRng(state.rng);
+  const given = Number(answer);
+  const ms = now - (state.lastSubmitAt ?? now);
+  const expected = expectedAnswer(q);
+  const isCorrect = given === expected;
+  const attemptNo = state.attemptsOnCurrent + 1;
+  const revealed = !isCorrect && attemptNo >= state.config.maxTries;
+
+  let next = {
+    ...state,
+    events: [
+      ...state.events,
+      {
+        a: q.a,
+        b: q.b,
+        ans: q.ans,
+        type: q.type,
+        expected,
+        given: answer,
+        correct: isCorrect,
+        ms,
+        attempt: attemptNo,
+        fromRevisit: !!q.fromRevisit,
+        revealed,
+        hinted: state.hintShown, // the hint was up when this answer was given
+        atMs: now - state.startedAt,
+      },
+    ],
+    lastSubmitAt: now,
+    attempts: state.attempts + 1,
+    correct: state.correct + (isCorrect ? 1 : 0),
+    streak: isCorrect ? state.streak + 1 : 0,
+    ...timing(state, ms),
+  };
+
+  if (isCorrect) return advance({ ...next, feedback: { type: "correct", question: q, given } }, rand, now);
+
+  next = { ...next, attemptsOnCurrent: attemptNo, missedMap: recordMiss(state.missedMap, q, given) };
+  // schedule a later revisit once, as soon as the first mistake happens
+  if (attemptNo === 1) next = scheduleRevisit(next, q);
+  if (!revealed) {
+    // same question again, with a hint once it's been missed a couple of times
+    const hintShown = next.hintShown || (state.config.hints && attemptNo >= HINT_AUTO_AFTER && hasHint(q));
+    return { ...next, hintShown, feedback: { type: "incorrect", question: q, given } };
+  }
+
+  // Out of tries → reveal and move on
+  return advance({ ...next, feedback: { type: "reveal", question: q, given } }, rand, now);
+}
+
+// A hint can be asked for once the current question has been missed
+function showHint(state) {
+  if (state.status !== QUIZ_STATUS.RUNNING || !state.config.hints || state.attemptsOnCurrent < 1 || !hasHint(state.current)) return state;
+  return { ...state, hintShown: true };
+}
+
+// Actions: start { config, now } · submit { answer, now } · hint · pause { now } · resume { now } ·
+// tick { now } · finish { now } · restore { saved, savedAt, now } · reset
+export function quizReducer(state, action) {
+  switch (action.type) {
+    case "start":
+      return startQuiz(action.config, action.now);
+    case "submit":
+      return submit(state, action.answer, action.now);
+    case "hint":
+      return showHint(state);
+    case "pause":
+      return pause(state, action.now);
+    case "resume":
+      return resume(state, action.now);
+    case "tick":
+      return tick(state, action.now);
+    case "restore":
+      return restoreQuiz(action.saved, action.savedAt, action.now);
+    case "finish": {
+      const next = tick(resume(state, action.now), action.now);
+      return next.status === QUIZ_STATUS.RUNNING ? finish(next, action.now) : next;
+    }
+    case "reset":
+      return IDLE_QUIZ;
+    default:
+      throw new Error(`Unknown quiz action: ${action.type}`);
+  }
+}
+
+// --- Derived values ---
+export function quizStats(state, now) {
+  const durationMs = state.startedAt == null ? 0 : (state.finishedAt ?? state.pausedAt ?? now) - state.startedAt - state.pausedMs;
+  return {
+    durationMs,
+    accuracy: state.attempts ? Math.round((100 * state.correct) / state.attempts) : 0,
+    qPerMin: durationMs ? ((state.attempts / durationMs) * 60000).toFixed(1) : "0.0",
+  };
+}
+
+// Time left on the session clock (timed modes) or the current MTC phase; null when untimed
+export function timeRemaining(state, now) {
+  const end = state.mtcPhase ? state.phaseEndsAt : state.endsAt;
+  return end == null ? null : Math.max(end - now, 0);
+}
+
+// Time left on the current question when the mode has a per-question limit, else null
+export function questionTimeRemaining(state, now) {
+  return state.questionEndsAt == null ? null : Math.max(state.questionEndsAt - now, 0);
+}
@@ -0,0 +1,411 @@
+import { describe, expect, it } from "vitest";
+import { MODES, MODE_TYPES } from "./modes.js";
+import { MTC_PAUSE_MS, MTC_QUESTIONS, MTC_QUESTION_MS } from "./mtc.js";
+import { QUESTION_TYPES, expectedAnswer } from "./questionTypes.js";
+import { STRATEGIES } from "./selection.js";
+import { IDLE_QUIZ, QUIZ_STATUS, canPause, endsQuestion, keyFor, makeQuestionPool, questionTimeRemaining, quizReducer, quizStats, restoreQuiz, startQuiz, timeRemaining } from "./quizEngine.js";
+
+const T0 = 1_000_000;
+const range = (from, to) => Array.from({ length: to - from + 1 }, (_, i) => from + i);
+
+const config = (overrides = {}) => ({
+  mode: MODES.PRACTICE,
+  strategy: STRATEGIES.RANDOM,
+  questionsTarget: 10,
+  maxTries: 3,
+  seed: 42,
+  aValues: [2, 3, 4],
+  bValues: range(1, 12),
+  questionTypes: [QUESTION_TYPES.MULTIPLY],
+  mastery: null,
+  ...overrides,
+});
+
+const submit = (state, answer, now) => quizReducer(state, { type: "submit", answer: String(answer), now });
+const answerRight = (state, now) => submit(state, expectedAnswer(state.current), now);
+const answerWrong = (state, now) => submit(state, expectedAnswer(state.current) + 1, now);
+
+describe("makeQuestionPool", () => {
+  it("has one question per fact per type", () => {
+    const pool = makeQuestionPool([2, 3], [5, 6], null, [QUESTION_TYPES.MULTIPLY, QUESTION_TYPES.DIVIDE]);
+    expect(pool).toHaveLength(8);
+    expect(pool.filter((q) => q.type === QUESTION_TYPES.DIVIDE)).toHaveLength(4);
+  });
+
+  it("repeats facts that are due for review", () => {
+    const mastery = { "2x5": { box: 0, due: 0 } };
+    const pool = makeQuestionPool([2], [5, 6], mastery, undefined, Math.random, T0);
+    expect(pool.filter((q) => q.b === 5).length).toBeGreaterThan(1);
+    expect(pool.filter((q) => q.b === 6)).toHaveLength(1);
+  });
+});
+
+describe("seeded sessions", () => {
+  const play = (seed) => {
+    let s = startQuiz(config({ seed, questionsTarget: 15 }), T0);
+    const asked = [];
+    for (let i = 0; s.status === QUIZ_STATUS.RUNNING; i++) {
+      asked.push(keyFor(s.current));
+      s = i % 4 === 0 ? answerWrong(s, T0 + i * 1000) : answerRight(s, T0 + i * 1000);
+    }
+    return asked;
+  };
+
+  it("replays the same questions from the same seed", () => {
+    expect(play(7)).toEqual(play(7));
+  });
+
+  it("asks different questions from a different seed", () => {
+    expect(play(7)).not.toEqual(play(8));
+  });
+
+  it("asks the same fresh questions whatever the student gets wrong", () => {
+    const fresh = (missEvery) => {
+      let s = startQuiz(config({ seed: 99, questionsTarget: 30 }), T0);
+      const asked = [];
+      for (let i = 0; s.status === QUIZ_STATUS.RUNNING; i++) {
+        if (!s.current.fromRevisit && s.attemptsOnCurrent === 0) asked.push(keyFor(s.current));
+        s = i % missEvery === 0 ? answerWrong(s, T0 + i * 1000) : answerRight(s, T0 + i * 1000);
+      }
+      return asked;
+    };
+    const careful = fresh(1000);
+    const shaky = fresh(3);
+    expect(shaky.length).toBeLessThan(careful.length); // revisits took some of the slots
+    expect(careful.slice(0, shaky.length)).toEqual(shaky);
+  });
+
+  it("deals every question once before repeating any", () => {
+    let s = startQuiz(config({ aValues: [2], bValues: range(1, 6), questionsTarget: 12 }), T0);
+    const asked = [];
+    while (s.status === QUIZ_STATUS.RUNNING) {
+      asked.push(keyFor(s.current));
+      s = answerRight(s, T0 + asked.length * 1000);
+    }
+    expect(new Set(asked.slice(0, 6)).size).toBe(6);
+    expect(new Set(asked.slice(6)).size).toBe(6);
+    asked.slice(1).forEach((k, i) => expect(k).not.toBe(asked[i]));
+  });
+});
+
+describe("practice sessions", () => {
+  it("finishes after the target number of questions", () => {
+    let s = startQuiz(config({ questionsTarget: 5 }), T0);
+    for (let i = 1; i <= 4; i++) s = answerRight(s, T0 + i * 1000);
+    expect(s.status).toBe(QUIZ_STATUS.RUNNING);
+    s = answerRight(s, T0 + 5000);
+    expect(s.status).toBe(QUIZ_STATUS.FINISHED);
+    expect(s.finishedAt).toBe(T0 + 5000);
+    expect(s.completed).toBe(5);
+    expect(s.correct).toBe(5);
+  });
+
+  it("logs every submission with its time", () => {
+    let s = startQuiz(config(), T0);
+    s = answerRight(s, T0 + 1500);
+    s = answerWrong(s, T0 + 4000);
+    expect(s.events.map((e) => [e.correct, e.ms, e.atMs])).toEqual([
+      [true, 1500, 1500],
+      [false, 2500, 4000],
+    ]);
+    expect(s.fastest).toBe(1500);
+    expect(s.slowest).toBe(2500);
+    expect(s.streak).toBe(0);
+  });
+
+  it("keeps the question after a miss and reveals it after the last try", () => {
+    let s = startQuiz(config({ maxTries: 3 }), T0);
+    const q = s.current;
+    s = answerWrong(s, T0 + 1000);
+    s = answerWrong(s, T0 + 2000);
+    expect(s.current).toBe(q);
+    expect(s.attemptsOnCurrent).toBe(2);
+    expect(s.feedback.type).toBe("incorrect");
+    expect(s.completed).toBe(0);
+
+    s = answerWrong(s, T0 + 3000);
+    expect(s.feedback.type).toBe("reveal");
+    expect(s.events.at(-1).revealed).toBe(true);
+    expect(s.completed).toBe(1);
+    expect(s.attemptsOnCurrent).toBe(0);
+    expect(s.missedMap[keyFor(q)].count).toBe(3);
+  });
+
+  it("moves on after one wrong answer when retries are off", () => {
+    let s = startQuiz(config({ maxTries: 1 }), T0);
+    s = answerWrong(s, T0 + 1000);
+    expect(s.feedback.type).toBe("reveal");
+    expect(s.completed).toBe(1);
+  });
+
+  it("finishes early on request", () => {
+    let s = startQuiz(config(), T0);
+    s = answerRight(s, T0 + 1000);
+    s = quizReducer(s, { type: "finish", now: T0 + 2000 });
+    expect(s.status).toBe(QUIZ_STATUS.FINISHED);
+    expect(quizStats(s, T0 + 9999)).toEqual({ durationMs: 2000, accuracy: 100, qPerMin: "30.0" });
+    // nothing more counts once finished
+    expect(answerRight(s, T0 + 3000)).toBe(s);
+  });
+});
+
+describe("revisits", () => {
+  it("brings a missed fact back once, after at least two other questions", () => {
+    let s = startQuiz(config({ questionsTarget: 40 }), T0);
+    const missed = s.current;
+    s = answerWrong(s, T0 + 1000);
+    s = answerWrong(s, T0 + 2000); // a second miss doesn't queue it twice
+    expect(s.revisitQueue).toHaveLength(1);
+    s = answerRight(s, T0 + 3000);
+
+    let servedAt = null;
+    for (let i = 0; s.status === QUIZ_STATUS.RUNNING && servedAt == null; i++) {
+      if (s.current.fromRevisit) servedAt = s.completed;
+      else s = answerRight(s, T0 + 4000 + i * 1000);
+    }
+    expect(servedAt).toBeGreaterThanOrEqual(3); // the miss itself plus two others
+    expect(keyFor(s.current)).toBe(keyFor(missed));
+    expect(s.revisitQueue).toHaveLength(0);
+
+    // a revisit that is missed again is not queued a second time
+    s = answerWrong(s, T0 + 100000);
+    expect(s.revisitQueue).toHaveLength(0);
+  });
+
+  it("keeps a fact's multiply and divide questions apart", () => {
+    const types = [QUESTION_TYPES.MULTIPLY, QUESTION_TYPES.DIVIDE];
+    let s = startQuiz(config({ aValues: [7], bValues: [8], questionTypes: types, maxTries: 1 }), T0);
+    const first = s.current;
+    s = answerWrong(s, T0 + 1000);
+    expect(s.current.type).not.toBe(first.type);
+    s = answerWrong(s, T0 + 2000);
+    expect(s.revisitQueue.map((q) => q.type).sort()).toEqual([...types].sort());
+    expect(Object.values(s.missedMap).map((m) => m.type).sort()).toEqual([...types].sort());
+  });
+
+  it("leaves revisits to the weighting in adaptive order", () => {
+    let s = startQuiz(config({ strategy: STRATEGIES.ADAPTIVE }), T0);
+    s = answerWrong(s, T0 + 1000);
+    s = answerRight(s, T0 + 2000);
+    expect(s.revisitQueue).toHaveLength(1);
+    for (let i = 0; i < 8 && s.status === QUIZ_STATUS.RUNNING; i++) s = answerRight(s, T0 + 3000 + i * 1000);
+    expect(s.revisitQueue).toHaveLength(1);
+  });
+});
+
+describe("hints", () => {
+  it("offers a hint after one miss, shows it after two and notes it on the answer", () => {
+    let s = startQuiz(config({ hints: true }), T0);
+    expect(quizReducer(s, { type: "hint" }).hintShown).toBe(false); // nothing missed yet
+    s = answerWrong(s, T0 + 1000);
+    expect(s.hintShown).toBe(false);
+    expect(quizReducer(s, { type: "hint" }).hintShown).toBe(true);
+    s = answerWrong(s, T0 + 2000);
+    expect(s.hintShown).toBe(true);
+    s = answerRight(s, T0 + 3000);
+    expect(s.events.map((e) => e.hinted)).toEqual([false, false, true]);
+    expect(s.hintShown).toBe(false); // the next question starts without one
+  });
+
+  it("stays off unless the session allows hints", () => {
+    let s = answerWrong(startQuiz(config(), T0), T0 + 1000);
+    expect(quizReducer(s, { type: "hint" }).hintShown).toBe(false);
+    s = answerWrong(s, T0 + 2000);
+    expect(s.hintShown).toBe(false);
+    expect(startQuiz(config({ mode: MODES.MTC, hints: true }), T0).config.hints).toBe(false);
+  });
+
+  it("has none for facts beyond the times tables", () => {
+    let s = answerWrong(startQuiz(config({ hints: true, aValues: [997], bValues: [2] }), T0), T0 + 1000);
+    expect(quizReducer(s, { type: "hint" }).hintShown).toBe(false);
+    s = answerWrong(s, T0 + 2000);
+    expect(s.hintShown).toBe(false);
+  });
+});
+
+describe("pause and restore", () => {
+  it("stops the practice clock and ignores answers while paused", () => {
+    let s = answerRight(startQuiz(config(), T0), T0 + 1000);
+    s = quizReducer(s, { type: "pause", now: T0 + 2000 });
+    expect(answerRight(s, T0 + 3000)).toBe(s);
+    expect(quizStats(s, T0 + 60_000).durationMs).toBe(2000);
+    s = quizReducer(s, { type: "resume", now: T0 + 62_000 });
+    s = answerRight(s, T0 + 63_000);
+    expect(s.events[1].ms).toBe(2000); // one second either side of the pause
+    expect(quizStats(s, T0 + 63_000).durationMs).toBe(3000);
+  });
+
+  it("leaves the pause out when finishing while paused", () => {
+    let s = quizReducer(startQuiz(config(), T0), { type: "pause", now: T0 + 1000 });
+    s = quizReducer(s, { type: "finish", now: T0 + 30_000 });
+    expect(s.status).toBe(QUIZ_STATUS.FINISHED);
+    expect(quizStats(s, T0 + 30_000).durationMs).toBe(1000);
+  });
+
+  it("can't pause timed modes", () => {
+    const s = startQuiz(config({ mode: MODES.TIMED60 }), T0);
+    expect(canPause(s)).toBe(false);
+    expect(quizReducer(s, { type: "pause", now: T0 + 1000 })).toBe(s);
+  });
+
+  it("brings practice back paused from when it was saved", () => {
+    const saved = JSON.parse(JSON.stringify(answerWrong(startQuiz(config(), T0), T0 + 1000)));
+    const s = restoreQuiz(saved, T0 + 5000, T0 + 3_600_000);
+    expect(s.pausedAt).toBe(T0 + 5000);
+    expect(s.current).toEqual(saved.current);
+    expect(s.revisitQueue).toHaveLength(1);
+    expect(quizStats(s, T0 + 3_600_000).durationMs).toBe(5000);
+  });
+
+  it("lets a timed session's clock run on while away", () => {
+    const saved = startQuiz(config({ mode: MODES.TIMED60 }), T0);
+    expect(restoreQuiz(saved, T0 + 10_000, T0 + 20_000).status).toBe(QUIZ_STATUS.RUNNING);
+    const late = restoreQuiz(saved, T0 + 10_000, T0 + 90_000);
+    expect(late.status).toBe(QUIZ_STATUS.FINISHED);
+    expect(late.finishedAt).toBe(T0 + 60_000);
+  });
+
+  it("ignores anything that isn't a running session", () => {
+    expect(restoreQuiz(null, T0, T0)).toBe(IDLE_QUIZ);
+  });
+});
+
+describe("timed sessions", () => {
+  const timed = () => startQuiz(config({ mode: MODES.TIMED60, questionsTarget: 2 }), T0);
+
+  it("runs past the question target until the clock runs out", () => {
+    let s = timed();
+    for (let i = 1; i <= 5; i++) s = answerRight(s, T0 + i * 1000);
+    expect(s.status).toBe(QUIZ_STATUS.RUNNING);
+    expect(timeRemaining(s, T0 + 5000)).toBe(55000);
+  });
+
+  it("finishes exactly at the deadline even when the tick is late", () => {
+    let s = timed();
+    expect(quizReducer(s, { type: "tick", now: T0 + 59999 })).toBe(s);
+    s = quizReducer(s, { type: "tick", now: T0 + 63000 });
+    expect(s.status).toBe(QUIZ_STATUS.FINISHED);
+    expect(s.finishedAt).toBe(T0 + 60000);
+  });
+
+  it("ignores an answer given after the deadline", () => {
+    const s = answerRight(timed(), T0 + 61000);
+    expect(s.status).toBe(QUIZ_STATUS.FINISHED);
+    expect(s.attempts).toBe(0);
+  });
+});
+
+describe("per-question time limit", () => {
+  const limited = (mode = MODES.PRACTICE) => startQuiz(config({ mode: { ...mode, questionMs: 5000 } }), T0);
+  const tick = (s, now) => quizReducer(s, { type: "tick", now });
+
+  it("counts running out of time as a miss and brings the question back later", () => {
+    const s0 = limited();
+    expect(questionTimeRemaining(s0, T0 + 1000)).toBe(4000);
+    const s = tick(s0, T0 + 5000);
+    expect(s.feedback.type).toBe("timeout");
+    expect(s.events[0]).toMatchObject({ correct: false, timedOut: true, given: "", ms: 5000 });
+    expect(endsQuestion(s.events[0], s.config.maxTries)).toBe(true);
+    expect(s.streak).toBe(0);
+    expect(s.completed).toBe(1);
+    expect(s.revisitQueue.map(keyFor)).toEqual([keyFor(s0.current)]);
+    expect(s.missedMap[keyFor(s0.current)]).toBeDefined();
+    expect(s.current).not.toBe(s0.current);
+    expect(questionTimeRemaining(s, T0 + 5000)).toBe(5000);
+  });
+
+  it("restarts the clock for each question", () => {
+    const s = answerRight(limited(), T0 + 4000);
+    expect(tick(s, T0 + 8000)).toBe(s);
+    expect(tick(s, T0 + 9000).feedback.type).toBe("timeout");
+  });
+
+  it("catches up on several questions from a late tick", () => {
+    const s = tick(limited(), T0 + 12_000);
+    expect(s.events.map((e) => e.atMs)).toEqual([5000, 10_000]);
+  });
+
+  it("doesn't run while practice is paused", () => {
+    let s = quizReducer(limited(), { type: "pause", now: T0 + 1000 });
+    expect(tick(s, T0 + 60_000)).toBe(s);
+    s = quizReducer(s, { type: "resume", now: T0 + 60_000 });
+    expect(questionTimeRemaining(s, T0 + 60_000)).toBe(4000);
+  });
+
+  it("stops at the session deadline in timed mode", () => {
+    const s = tick(limited({ ...MODES.TIMED60, durationMs: 12_000 }), T0 + 30_000);
+    expect(s.status).toBe(QUIZ_STATUS.FINISHED);
+    expect(s.finishedAt).toBe(T0 + 12_000);
+    expect(s.events).toHaveLength(2);
+  });
+
+  it("keeps MTC to its own pacing", () => {
+    expect(limited(MODES.MTC).questionEndsAt).toBeNull();
+  });
+
+  it("reads modes saved as labels", () => {
+    const s = startQuiz(config({ mode: "Timed (180s)" }), T0);
+    expect(s.config.mode).toEqual({ type: MODE_TYPES.TIMED, durationMs: 180_000, questionMs: 0 });
+    expect(timeRemaining(s, T0)).toBe(180_000);
+  });
+});
+
+describe("MTC practice check", () => {
+  const mtc = () => startQuiz(config({ mode: MODES.MTC }), T0);
+
+  it("allows one try, then pauses with no feedback", () => {
+    let s = mtc();
+    expect(s.config.maxTries).toBe(1);
+    s = answerWrong(s, T0 + 2000);
+    expect(s.mtcPhase).toBe("pause");
+    expect(s.feedback).toBeNull();
+    expect(s.completed).toBe(1);
+    // answers during the pause are ignored
+    expect(answerRight(s, T0 + 2500)).toBe(s);
+    expect(timeRemaining(s, T0 + 3000)).toBe(MTC_PAUSE_MS - 1000);
+
+    const first = s.current;
+    s = quizReducer(s, { type: "tick", now: T0 + 2000 + MTC_PAUSE_MS });
+    expect(s.mtcPhase).toBe("question");
+    expect(s.current).not.toBe(first);
+  });
+
+  it("counts a question as missed when its time runs out", () => {
+    let s = quizReducer(mtc(), { type: "tick", now: T0 + MTC_QUESTION_MS });
+    expect(s.events[0]).toMatchObject({ timedOut: true, correct: false, ms: MTC_QUESTION_MS });
+    expect(s.mtcPhase).toBe("pause");
+  });
+
+  it("asks typed multiplication questions, so choices and events treat them like any other", () => {
+    const s = answerRight(mtc(), T0 + 2000);
+    expect(s.pool.every((q) => q.type === QUESTION_TYPES.MULTIPLY)).toBe(true);
+    expect(s.events[0]).toMatchObject({ type: QUESTION_TYPES.MULTIPLY, expected: s.events[0].ans, correct: true });
+  });
+
+  it("catches up on every deadline a late tick skipped", () => {
+    const s = quizReducer(mtc(), { type: "tick", now: T0 + 10 * 60 * 1000 });
+    expect(s.status).toBe(QUIZ_STATUS.FINISHED);
+    expect(s.events).toHaveLength(MTC_QUESTIONS);
+    expect(s.events.every((e) => e.timedOut)).toBe(true);
+    expect(s.finishedAt).toBe(T0 + MTC_QUESTIONS * MTC_QUESTION_MS + (MTC_QUESTIONS - 1) * MTC_PAUSE_MS);
+  });
+});
+
+describe("quizReducer", () => {
+  it("starts and resets", () => {
+    const s = quizReducer(IDLE_QUIZ, { type: "start", config: config(), now: T0 });
+    expect(s.status).toBe(QUIZ_STATUS.RUNNING);
+    expect(s.config).not.toHaveProperty("mastery");
+    expect(quizReducer(s, { type: "reset" })).toBe(IDLE_QUIZ);
+  });
+
+  it("rejects unknown actions", () => {
+    expect(() => quizReducer(IDLE_QUIZ, { type: "nope" })).toThrow(/nope/);
+  });
+
+  it("says when an answer ends its question", () => {
+    expect(endsQuestion({ correct: true, attempt: 1 }, 3)).toBe(true);
+    expect(endsQuestion({ correct: false, attempt: 2 }, 3)).toBe(false);
+    expect(endsQuestion({ correct: false, attempt: 3 }, 3)).toBe(true);
+  });
+});
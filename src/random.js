@@ -0,0 +1,22 @@
+// --- Seedable random numbers ---
+// mulberry32: a 32-bit state, fast and evenly spread enough for picking quiz
+// questions. The state is a plain number so it can sit in quiz state and be saved.
+export function nextRandom(state) {
+  const s = (state + 0x6d2b79f5) >>> 0;
+  let t = s;
+  t = Math.imul(t ^ (t >>> 15), t | 1);
+  t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+  return [((t ^ (t >>> 14)) >>> 0) / 4294967296, s];
+}
+
+// A Math.random-style function over a seed; `rand.state()` reads where it got to
+export function makeRng(seed) {
+  let state = seed >>> 0;
+  const rand = () => {
+    const [value, next] = nextRandom(state);
+    state = next;
+    return value;
+  };
+  rand.state = () => state;
+  return rand;
+}
@@ -0,0 +1,29 @@
+import { describe, expect, it } from "vitest";
+import { makeRng, nextRandom } from "./random.js";
+
+const take = (rand, n) => Array.from({ length: n }, () => rand());
+
+describe("makeRng", () => {
+  it("gives the same sequence for the same seed", () => {
+    expect(take(makeRng(123), 20)).toEqual(take(makeRng(123), 20));
+  });
+
+  it("gives a different sequence for a different seed", () => {
+    expect(take(makeRng(123), 5)).not.toEqual(take(makeRng(124), 5));
+  });
+
+  it("stays in [0, 1)", () => {
+    for (const x of take(makeRng(9), 1000)) {
+      expect(x).toBeGreaterThanOrEqual(0);
+      expect(x).toBeLessThan(1);
+    }
+  });
+
+  it("can carry on from a saved state", () => {
+    const rand = makeRng(5);
+    take(rand, 3);
+    const resumed = makeRng(rand.state());
+    expect(take(resumed, 3)).toEqual(take(rand, 3));
+    expect(nextRandom(rand.state())[0]).toBe(makeRng(rand.state())());
+  });
+});
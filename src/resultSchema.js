@@ -0,0 +1,58 @@
+// --- Result row schema ---
+// The single list of result columns, in display and export order. Tables and
+// exports read rows through this so a change in row shape can't shift columns.
+import { modeLabel, rowMode } from "./modes.js";
+
+export const RESULT_COLUMNS = [
+  { key: "timestamp", label: "Time", type: "date" },
+  { key: "name", label: "Name", type: "text" },
+  { key: "classCode", label: "Class", type: "text" },
+  { key: "studentId", label: "Student ID", type: "text" },
+  { key: "assignmentId", label: "Assignment", type: "text" },
+  { key: "form", label: "Form", type: "text" },
+  { key: "seedCode", label: "Question code", type: "text" },
+  { key: "modeType", label: "Mode", type: "mode" },
+  { key: "timeLimitMs", label: "Time limit ms", type: "number" },
+  { key: "questionLimitMs", label: "Question limit ms", type: "number" },
+  { key: "inputMode", label: "Input", type: "text" },
+  { key: "strategy", label: "Order", type: "text" },
+  { key: "questionTypes", label: "Types", type: "text" },
+  { key: "factorA", label: "First number", type: "text" },
+  { key: "factorB", label: "Second number", type: "text" },
+  { key: "questionsTarget", label: "Target", type: "number" },
+  { key: "attempts", label: "Attempts", type: "number" },
+  { key: "completed", label: "Completed", type: "number" },
+  { key: "correct", label: "Correct", type: "number" },
+  { key: "accuracy", label: "Accuracy %", type: "number" },
+  { key: "durationMs", label: "Duration ms", type: "number" },
+  { key: "qPerMin", label: "Per min", type: "number" },
+  { key: "fastestMs", label: "Fastest ms", type: "number" },
+  { key: "slowestMs", label: "Slowest ms", type: "number" },
+  { key: "events", label: "Answers", type: "events" },
+];
+
+export function cellText(row, col) {
+  const v = row[col.key];
+  if (col.type === "events") return Array.isArray(v) ? `${v.length} answers` : "";
+  if (col.type === "mode") return modeLabel(rowMode(row));
+  return v == null ? "" : String(v);
+}
+
+// Rows for toCSV: schema order, nested events flattened to a JSON cell
+export const toExportRows = (rows, columns = RESULT_COLUMNS) =>
+  rows.map((r) => Object.fromEntries(columns.map((c) => [c.key, c.type === "events" ? JSON.stringify(r.events ?? []) : r[c.key] ?? ""])));
+
+export function compareBy(col, dir) {
+  const sign = dir === "desc" ? -1 : 1;
+  return (x, y) => {
+    const a = x[col.key];
+    const b = y[col.key];
+    const blankA = a == null || a === "";
+    const blankB = b == null || b === "";
+    if (blankA || blankB) return blankA === blankB ? 0 : blankA ? 1 : -1; // blanks last either way
+    if (col.type === "number") return sign * (Number(a) - Number(b));
+    if (col.type === "events") return sign * ((a?.length ?? 0) - (b?.length ?? 0));
+    if (col.type === "mode") return sign * modeLabel(rowMode(x)).localeCompare(modeLabel(rowMode(y)));
+    return sign * String(a).localeCompare(String(b));
+  };
+}
@@ -0,0 +1,103 @@
+// --- Class rosters: teacher-managed pupils with stable ids, stored locally ---
+// A class with a roster signs in by picking a name, so "Sam", "sam" and "Sam "
+// stay one pupil, and results link to the pupil's id rather than the typed name.
+import { studentKeyOf } from "./analytics.js";
+import { normalizeClassCode } from "./assignments.js";
+
+const ROSTER_KEY = "multitest_roster_v1";
+
+export const AVATARS = ["🦊", "🐼", "🐸", "🦁", "🐧", "🐢", "🐙", "🦉", "🐝", "🦄", "🐬", "🐨", "🐯", "🐰", "🐻", "🦒", "🐳", "🦋", "🐞", "🦔"];
+
+// Tidy for display: trimmed, single spaces
+export const cleanName = (name) => String(name).trim().replace(/\s+/g, " ");
+const sameName = (x, y) => cleanName(x).toLowerCase() === cleanName(y).toLowerCase();
+
+function readRoster() {
+  try {
+    return JSON.parse(localStorage.getItem(ROSTER_KEY) || "[]");
+  } catch {
+    return [];
+  }
+}
+
+function writeRoster(list) {
+  localStorage.setItem(ROSTER_KEY, JSON.stringify(list));
+}
+
+const newPupilId = () => `stu_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+
+// A class's pupils in name order; all classes when classCode is null
+export function listPupils(classCode = null) {
+  const code = classCode == null ? null : normalizeClassCode(classCode);
+  return readRoster()
+    .filter((p) => code == null || p.classCode === code)
+    .sort((x, y) => x.name.localeCompare(y.name));
+}
+
+export function findPupilByName(classCode, name) {
+  return listPupils(classCode).find((p) => sameName(p.name, name)) ?? null;
+}
+
+// Adds a pupil, or returns the one already on the roster under that name
+export function addPupil(name, classCode) {
+  const existing = findPupilByName(classCode, name);
+  if (existing) return existing;
+  const list = readRoster();
+  const code = normalizeClassCode(classCode);
+  const used = list.filter((p) => p.classCode === code).length;
+  const pupil = { id: newPupilId(), name: cleanName(name), classCode: code, avatar: AVATARS[used % AVATARS.length] };
+  writeRoster([...list, pupil]);
+  return pupil;
+}
+
+// Names from pasted text or a CSV: one per line, first column, header row skipped
+export function parseNameList(text) {
+  return text
+    .split(/\r?\n/)
+    .map((line) => cleanName(line.split(",")[0].replace(/^"|"$/g, "")))
+    .filter((n, i) => n && !(i === 0 && /^(student )?name$/i.test(n)));
+}
+
+// -> { added: [pupil], skipped: [name] } where skipped names were already on the roster
+export function importPupils(text, classCode) {
+  const added = [];
+  const skipped = [];
+  for (const name of parseNameList(text)) {
+    if (findPupilByName(classCode, name)) skipped.push(name);
+    else added.push(addPupil(name, classCode));
+  }
+  return { added, skipped };
+}
+
+// Renaming keeps the id, so past results, mastery and preferences stay with the pupil
+export function updatePupil(id, patch) {
+  const list = readRoster();
+  const i = list.findIndex((p) => p.id === id);
+  if (i < 0) return null;
+  list[i] = { ...list[i], ...patch, ...(patch.name != null && { name: cleanName(patch.name) }) };
+  writeRoster(list);
+  return list[i];
+}
+
+export function removePupil(id) {
+  writeRoster(readRoster().filter((p) => p.id !== id));
+}
+
+// --- Linking historical results to pupils ---
+// Typed names in a class's results that aren't linked to a pupil yet: [{ key, name, count }]
+export function unlinkedNames(results, classCode) {
+  const code = normalizeClassCode(classCode);
+  const byKey = new Map();
+  for (const r of results) {
+    if (r.studentId || normalizeClassCode(String(r.classCode ?? "")) !== code) continue;
+    const k = studentKeyOf(r);
+    if (!byKey.has(k)) byKey.set(k, { key: k, name: cleanName(r.name), count: 0 });
+    byKey.get(k).count += 1;
+  }
+  return [...byKey.values()].sort((x, y) => x.name.localeCompare(y.name));
+}
+
+// Every result under one of `keys` (from unlinkedNames) now belongs to `pupil`
+export function mergeResultsInto(results, keys, pupil) {
+  return results.map((r) => (keys.includes(studentKeyOf(r)) ? { ...r, studentId: pupil.id, name: pupil.name, classCode: pupil.classCode } : r));
+}
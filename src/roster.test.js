@@ -0,0 +1,65 @@
+import { beforeEach, describe, expect, it, vi } from "vitest";
+import { addPupil, findPupilByName, importPupils, listPupils, mergeResultsInto, parseNameList, unlinkedNames, updatePupil } from "./roster.js";
+
+// the roster lives in localStorage; a Map stands in for it here
+beforeEach(() => {
+  const data = new Map();
+  vi.stubGlobal("localStorage", {
+    getItem: (k) => data.get(k) ?? null,
+    setItem: (k, v) => data.set(k, String(v)),
+    removeItem: (k) => data.delete(k),
+  });
+});
+
+describe("roster", () => {
+  it("treats differently typed versions of a name as one pupil", () => {
+    const sam = addPupil("Sam", "4b");
+    expect(addPupil(" sam  ", "4B")).toEqual(sam);
+    expect(findPupilByName("4B", "SAM").id).toBe(sam.id);
+    expect(listPupils("4B")).toHaveLength(1);
+    expect(sam.classCode).toBe("4B");
+  });
+
+  it("imports a pasted list, skipping the header and names already there", () => {
+    addPupil("Ava", "4B");
+    const { added, skipped } = importPupils("Name\nAva\nBen Jones\n\n  Cara  ", "4B");
+    expect(added.map((p) => p.name)).toEqual(["Ben Jones", "Cara"]);
+    expect(skipped).toEqual(["Ava"]);
+    expect(new Set(listPupils("4B").map((p) => p.id)).size).toBe(3);
+  });
+
+  it("keeps the id on rename", () => {
+    const p = addPupil("Sam", "4B");
+    expect(updatePupil(p.id, { name: "Samira " })).toMatchObject({ id: p.id, name: "Samira" });
+    expect(findPupilByName("4B", "Sam")).toBeNull();
+  });
+
+  it("reads the first column of a CSV", () => {
+    expect(parseNameList('name,class\n"Dev",4B\nEli,4B')).toEqual(["Dev", "Eli"]);
+  });
+});
+
+describe("merging historical names", () => {
+  const results = [
+    { name: "Sam", classCode: "4B", studentId: "" },
+    { name: "sam ", classCode: "4b", studentId: "" },
+    { name: "Sammy", classCode: "4B", studentId: "" },
+    { name: "Sam", classCode: "4C", studentId: "" },
+    { name: "Sam", classCode: "4B", studentId: "stu_x" },
+  ];
+
+  it("lists each unlinked typed name in the class once", () => {
+    expect(unlinkedNames(results, "4B")).toEqual([
+      { key: "4B|sam", name: "Sam", count: 2 },
+      { key: "4B|sammy", name: "Sammy", count: 1 },
+    ]);
+  });
+
+  it("links the chosen names to a pupil", () => {
+    const pupil = { id: "stu_y", name: "Samuel", classCode: "4B" };
+    const merged = mergeResultsInto(results, ["4B|sam", "4B|sammy"], pupil);
+    expect(merged.filter((r) => r.studentId === "stu_y")).toHaveLength(3);
+    expect(merged[3]).toBe(results[3]);
+    expect(unlinkedNames(merged, "4B")).toEqual([]);
+  });
+});
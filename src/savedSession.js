@@ -0,0 +1,67 @@
+// --- The in-progress session, saved as it goes ---
+// One snapshot per student ({ savedAt, quiz, settings }) so a reload, closed tab
+// or sleeping tablet can pick up where it stopped (see restoreQuiz in quizEngine.js).
+// The question pool (up to MAX_POOL_SIZE questions) is kept under its own key and only
+// rewritten when the deck itself changes, not after every answer.
+import { studentKey } from "./mastery.js";
+import { QUIZ_STATUS } from "./quizEngine.js";
+
+const SESSION_KEY = "multitest_session_v1";
+const POOL_KEY = "multitest_session_pool_v1";
+
+// the pool last written for each student, by reference
+const writtenPools = new Map();
+
+function readAll(key = SESSION_KEY) {
+  try {
+    return JSON.parse(localStorage.getItem(key) || "{}");
+  } catch {
+    return {};
+  }
+}
+
+function writeAll(all, key = SESSION_KEY) {
+  try {
+    localStorage.setItem(key, JSON.stringify(all));
+    return true;
+  } catch {
+    // a full or blocked store only loses the chance to resume
+    return false;
+  }
+}
+
+// The saved snapshot, or null when there's nothing worth resuming
+export function loadSavedSession(student) {
+  const key = studentKey(student);
+  const snapshot = readAll()[key];
+  if (snapshot?.quiz?.status !== QUIZ_STATUS.RUNNING) return null;
+  // snapshots from before the pool was split out still carry their own
+  const pool = snapshot.quiz.pool ?? readAll(POOL_KEY)[key];
+  return pool ? { ...snapshot, quiz: { ...snapshot.quiz, pool } } : null;
+}
+
+export function saveSession(student, quiz, settings, savedAt = Date.now()) {
+  const key = studentKey(student);
+  const { pool, ...rest } = quiz;
+  if (writtenPools.get(key) !== pool) {
+    const pools = readAll(POOL_KEY);
+    pools[key] = pool;
+    // without its pool a snapshot can't be resumed, so keep the last complete one
+    if (!writeAll(pools, POOL_KEY)) return;
+    writtenPools.set(key, pool);
+  }
+  const all = readAll();
+  all[key] = { savedAt, quiz: rest, settings };
+  writeAll(all);
+}
+
+export function clearSavedSession(student) {
+  const key = studentKey(student);
+  writtenPools.delete(key);
+  for (const storeKey of [SESSION_KEY, POOL_KEY]) {
+    const all = readAll(storeKey);
+    if (!(key in all)) continue;
+    delete all[key];
+    writeAll(all, storeKey);
+  }
+}
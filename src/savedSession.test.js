@@ -0,0 +1,51 @@
+import { beforeEach, describe, expect, it, vi } from "vitest";
+import { startQuiz } from "./quizEngine.js";
+import { clearSavedSession, loadSavedSession, saveSession } from "./savedSession.js";
+
+const sam = { name: "Sam", classCode: "4B" };
+const settings = { questionsTarget: 10 };
+let writes;
+
+// localStorage is a Map here, counting writes per key
+beforeEach(() => {
+  const data = new Map();
+  writes = new Map();
+  vi.stubGlobal("localStorage", {
+    getItem: (k) => data.get(k) ?? null,
+    setItem: (k, v) => {
+      writes.set(k, (writes.get(k) ?? 0) + 1);
+      data.set(k, String(v));
+    },
+    removeItem: (k) => data.delete(k),
+  });
+  clearSavedSession(sam);
+  writes.clear();
+});
+
+const quiz = () => startQuiz({ seed: 7, mode: "Practice (fixed questions)", aValues: [2, 3, 4], bValues: [1, 2, 3, 4, 5], questionTypes: ["multiply"], maxTries: 1 }, 1000);
+
+describe("saved sessions", () => {
+  it("round-trips a running quiz, pool included", () => {
+    const q = quiz();
+    saveSession(sam, q, settings, 2000);
+    expect(loadSavedSession(sam)).toEqual({ savedAt: 2000, quiz: JSON.parse(JSON.stringify(q)), settings });
+  });
+
+  it("only rewrites the pool when the deck changes", () => {
+    const q = quiz();
+    saveSession(sam, q, settings);
+    saveSession(sam, { ...q, completed: 1 }, settings);
+    saveSession(sam, { ...q, completed: 2 }, settings);
+    expect(writes.get("multitest_session_pool_v1")).toBe(1);
+    expect(writes.get("multitest_session_v1")).toBe(3);
+    saveSession(sam, { ...q, pool: [...q.pool].reverse() }, settings);
+    expect(writes.get("multitest_session_pool_v1")).toBe(2);
+    expect(loadSavedSession(sam).quiz.pool).toEqual([...q.pool].reverse());
+  });
+
+  it("forgets both parts when cleared", () => {
+    saveSession(sam, quiz(), settings);
+    clearSavedSession(sam);
+    expect(loadSavedSession(sam)).toBeNull();
+  });
+});
@@ -0,0 +1,53 @@
+// --- Question selection strategies ---
+import { QUESTION_TYPES } from "./questionTypes.js";
+
+export const STRATEGIES = {
+  RANDOM: "Random",
+  ADAPTIVE: "Adaptive",
+};
+
+const SLOW_MS = 4000; // a correct answer slower than this still needs practice
+const FAST_MS = 2000;
+const COOLDOWN = 4; // submissions before a just-seen fact is back to full weight
+
+const key = (q) => `${q.a}x${q.b}:${q.type ?? QUESTION_TYPES.MULTIPLY}`; // one entry per question, not per fact family
+
+// Summarise this session's answer events per fact (see `events` in App)
+export function factStats(events) {
+  const stats = {};
+  events.forEach((e, i) => {
+    const k = key(e);
+    const s = stats[k] || { seen: 0, wrong: 0, lastIdx: -1, lastMs: null };
+    s.seen += 1;
+    if (!e.correct) s.wrong += 1;
+    s.lastIdx = i;
+    s.lastMs = e.ms;
+    stats[k] = s;
+  });
+  return stats;
+}
+
+export function adaptiveWeight(s, step) {
+  if (!s) return 1.5; // unseen facts get a gentle boost so the set is covered
+  let w = 1 + 2 * s.wrong;
+  if (s.lastMs != null && s.lastMs > SLOW_MS) w += 1.5;
+  else if (!s.wrong && s.lastMs != null && s.lastMs < FAST_MS) w *= 0.3;
+  const since = step - s.lastIdx;
+  return w * Math.min(1, since / COOLDOWN);
+}
+
+// Weighted pick over the pool; never repeats prev unless nothing else is left
+export function pickAdaptive(prev, pool, events, rand = Math.random) {
+  if (!pool.length) return null;
+  const stats = factStats(events);
+  const step = events.length;
+  const candidates = prev ? pool.filter((q) => key(q) !== key(prev)) : pool;
+  const from = candidates.length ? candidates : pool;
+  const weights = from.map((q) => Math.max(adaptiveWeight(stats[key(q)], step), 0.05));
+  const total = weights.reduce((t, w) => t + w, 0);
+  let r = rand() * total;
+  let i = 0;
+  while (i < from.length - 1 && (r -= weights[i]) > 0) i++;
+  // a fact missed earlier in the session coming back counts as a revisit
+  return { ...from[i], fromRevisit: !!stats[key(from[i])]?.wrong };
+}
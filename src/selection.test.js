@@ -0,0 +1,59 @@
+import { describe, expect, it } from "vitest";
+import { makeQuestion } from "./questionTypes.js";
+import { makeRng } from "./random.js";
+import { adaptiveWeight, pickAdaptive } from "./selection.js";
+
+const q = (a, b) => makeQuestion(a, b);
+const event = (a, b, correct, ms) => ({ ...q(a, b), correct, ms });
+
+// how often each question comes up in `n` picks with nothing shown just before
+function tally(pool, events, n = 3000) {
+  const rand = makeRng(42);
+  const counts = {};
+  for (let i = 0; i < n; i++) {
+    const picked = pickAdaptive(null, pool, events, rand);
+    counts[`${picked.a}x${picked.b}`] = (counts[`${picked.a}x${picked.b}`] ?? 0) + 1;
+  }
+  return counts;
+}
+
+describe("adaptiveWeight", () => {
+  it("favours misses and slow answers over quick correct ones", () => {
+    const step = 10;
+    const quick = adaptiveWeight({ seen: 1, wrong: 0, lastIdx: 0, lastMs: 1000 }, step);
+    const slow = adaptiveWeight({ seen: 1, wrong: 0, lastIdx: 0, lastMs: 6000 }, step);
+    const missed = adaptiveWeight({ seen: 1, wrong: 1, lastIdx: 0, lastMs: 3000 }, step);
+    expect(quick).toBeLessThan(1);
+    expect(slow).toBeGreaterThan(1);
+    expect(missed).toBeGreaterThan(slow);
+    expect(adaptiveWeight(undefined, step)).toBeGreaterThan(1); // unseen gets a boost
+  });
+
+  it("holds a just-seen fact back for a few answers", () => {
+    const s = { seen: 1, wrong: 1, lastIdx: 9, lastMs: 3000 };
+    expect(adaptiveWeight(s, 10)).toBeLessThan(adaptiveWeight(s, 20));
+  });
+});
+
+describe("pickAdaptive", () => {
+  const pool = [q(2, 3), q(4, 5), q(6, 7)];
+  // every fact seen long ago; 6 × 7 was missed, 2 × 3 was quick
+  const events = [event(2, 3, true, 1000), event(4, 5, true, 3000), event(6, 7, false, 3000), ...Array(10).fill(event(9, 9, true, 3000))];
+
+  it("deals a missed fact most and a quick one least", () => {
+    const counts = tally(pool, events);
+    expect(counts["6x7"]).toBeGreaterThan(counts["4x5"]);
+    expect(counts["4x5"]).toBeGreaterThan(counts["2x3"]);
+  });
+
+  it("never repeats the question just shown while another is left", () => {
+    const rand = makeRng(1);
+    for (let i = 0; i < 50; i++) expect(pickAdaptive(q(6, 7), pool, events, rand)).not.toMatchObject({ a: 6, b: 7 });
+    expect(pickAdaptive(q(6, 7), [q(6, 7)], events, rand)).toMatchObject({ a: 6, b: 7 });
+  });
+
+  it("marks a fact missed earlier in the session as a revisit", () => {
+    expect(pickAdaptive(null, [q(6, 7)], events)).toMatchObject({ fromRevisit: true });
+    expect(pickAdaptive(null, [q(2, 3)], events)).toMatchObject({ fromRevisit: false });
+  });
+});
@@ -0,0 +1,243 @@
+// --- Results storage ---
+// One async API over two backends: IndexedDB where the browser has it (large
+// histories) and localStorage otherwise. Rows carry no version of their own;
+// each backend records the schema version it holds and openResultsStore()
+// upgrades older data, including the original bare `multitest_results_v1` array.
+import { normalizeClassCode } from "./assignments.js";
+import { normalizeMode, resultModeFields } from "./modes.js";
+
+export const SCHEMA_VERSION = 5;
+const LEGACY_V1_KEY = "multitest_results_v1";
+const LS_KEY = "multitest_results_v2";
+const DB_NAME = "multitest";
+const DB_VERSION = 1;
+
+export class StorageError extends Error {
+  constructor(kind, message, cause) {
+    super(message);
+    this.kind = kind; // "quota" | "corrupt" | "unavailable"
+    this.cause = cause;
+  }
+}
+
+const isQuotaError = (e) => e?.name === "QuotaExceededError" || e?.code === 22 || e?.name === "NS_ERROR_DOM_QUOTA_REACHED";
+
+function wrapWriteError(e) {
+  if (isQuotaError(e)) {
+    return new StorageError("quota", "This device is out of space for results. Export a backup from the teacher panel, then clear old results.", e);
+  }
+  return new StorageError("unavailable", "Results couldn’t be saved on this device. The browser may be blocking storage.", e);
+}
+
+// --- Migrations: MIGRATIONS[n] upgrades a row from version n to n + 1 ---
+const MIGRATIONS = {
+  // v1 rows had `selectedTables` and none of the later settings columns
+  1: (row) => {
+    const { selectedTables, ...rest } = row;
+    return {
+      assignmentId: "",
+      strategy: "Random",
+      questionTypes: "multiply",
+      factorA: selectedTables != null && selectedTables !== "" ? `tables ${selectedTables}` : "",
+      factorB: "range 1-12",
+      ...rest,
+      events: Array.isArray(rest.events) ? rest.events : [],
+    };
+  },
+  // before on-screen input modes every answer was typed
+  2: (row) => ({ inputMode: "Keyboard", ...row }),
+  // before class rosters students were only their typed name
+  3: (row) => ({ studentId: "", ...row }),
+  // modes were saved as their display label, e.g. "Timed (60s)"
+  4: ({ mode, ...rest }) => ({ ...resultModeFields(normalizeMode(mode)), ...rest }),
+};
+
+export function migrateRow(row, fromVersion = 1) {
+  let out = row;
+  for (let v = fromVersion; v < SCHEMA_VERSION; v++) out = MIGRATIONS[v](out);
+  return out;
+}
+
+// A value that won't parse is moved aside rather than lost, then reported
+function readJSONKey(key) {
+  const raw = localStorage.getItem(key);
+  if (raw == null) return { value: null };
+  try {
+    return { value: JSON.parse(raw) };
+  } catch (e) {
+    const aside = `${key}_corrupt_${Date.now()}`;
+    try {
+      localStorage.setItem(aside, raw);
+    } catch {
+      // no room to keep the damaged copy; it is dropped below either way
+    }
+    localStorage.removeItem(key);
+    return {
+      value: null,
+      error: new StorageError("corrupt", `Saved results were damaged and couldn’t be read. The damaged copy was kept as “${aside}” and a fresh list was started.`, e),
+    };
+  }
+}
+
+// --- localStorage backend: { version, rows } under one key ---
+function localStorageBackend() {
+  const read = () => {
+    const { value, error } = readJSONKey(LS_KEY);
+    if (error) throw error;
+    return value && Array.isArray(value.rows) ? value : { version: SCHEMA_VERSION, rows: [] };
+  };
+  const write = (rows, version = SCHEMA_VERSION) => {
+    try {
+      localStorage.setItem(LS_KEY, JSON.stringify({ version, rows }));
+    } catch (e) {
+      throw wrapWriteError(e);
+    }
+  };
+  return {
+    name: "localStorage",
+    async version() {
+      return localStorage.getItem(LS_KEY) == null ? 0 : read().version;
+    },
+    async list() {
+      return read().rows;
+    },
+    async addMany(rows) {
+      write([...read().rows, ...rows]);
+    },
+    async replaceAll(rows) {
+      write(rows);
+    },
+  };
+}
+
+// --- IndexedDB backend: one "results" store, schema version in "meta" ---
+const request = (r) =>
+  new Promise((resolve, reject) => {
+    r.onsuccess = () => resolve(r.result);
+    r.onerror = () => reject(r.error);
+  });
+
+const finished = (tx) =>
+  new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = tx.onabort = () => reject(wrapWriteError(tx.error));
+  });
+
+async function indexedDBBackend() {
+  const open = indexedDB.open(DB_NAME, DB_VERSION);
+  open.onupgradeneeded = () => {
+    const db = open.result;
+    if (!db.objectStoreNames.contains("results")) db.createObjectStore("results", { autoIncrement: true });
+    if (!db.objectStoreNames.contains("meta")) db.createObjectStore("meta");
+  };
+  const db = await request(open);
+
+  const write = async (fn) => {
+    const tx = db.transaction(["results", "meta"], "readwrite");
+    fn(tx.objectStore("results"), tx.objectStore("meta"));
+    await finished(tx);
+  };
+
+  return {
+    name: "IndexedDB",
+    async version() {
+      return (await request(db.transaction("meta").objectStore("meta").get("schemaVersion"))) ?? 0;
+    },
+    async list() {
+      return request(db.transaction("results").objectStore("results").getAll());
+    },
+    async addMany(rows) {
+      await write((results, meta) => {
+        rows.forEach((r) => results.add(r));
+        meta.put(SCHEMA_VERSION, "schemaVersion");
+      });
+    },
+    async replaceAll(rows) {
+      await write((results, meta) => {
+        results.clear();
+        rows.forEach((r) => results.add(r));
+        meta.put(SCHEMA_VERSION, "schemaVersion");
+      });
+    },
+  };
+}
+
+// Older copies that may still be lying around in localStorage, oldest format first
+function takeLegacyRows(backendName) {
+  const rows = [];
+  const problems = [];
+  let found = false;
+  const v1 = readJSONKey(LEGACY_V1_KEY);
+  if (v1.error) problems.push(v1.error);
+  if (Array.isArray(v1.value)) {
+    found = true;
+    rows.push(...v1.value.map((r) => migrateRow(r, 1)));
+  }
+  // a localStorage v2 list is only legacy once IndexedDB has taken over
+  if (backendName !== "localStorage") {
+    const v2 = readJSONKey(LS_KEY);
+    if (v2.error) problems.push(v2.error);
+    if (v2.value && Array.isArray(v2.value.rows)) {
+      found = true;
+      rows.push(...v2.value.rows.map((r) => migrateRow(r, v2.value.version)));
+    }
+  }
+  return { rows, problems, found };
+}
+
+function forgetLegacy(backendName) {
+  localStorage.removeItem(LEGACY_V1_KEY);
+  if (backendName !== "localStorage") localStorage.removeItem(LS_KEY);
+}
+
+// Resolves to { store, problems }: `problems` are StorageErrors worth showing the user
+// (e.g. damaged data that was set aside) even though the store itself opened fine.
+export async function openResultsStore({ preferIndexedDB = true } = {}) {
+  let backend = null;
+  if (preferIndexedDB && globalThis.indexedDB) {
+    try {
+      backend = await indexedDBBackend();
+    } catch {
+      backend = null; // e.g. some private-browsing modes refuse IndexedDB
+    }
+  }
+  if (!backend) {
+    if (!globalThis.localStorage) throw new StorageError("unavailable", "This browser has no local storage, so results can’t be saved.");
+    backend = localStorageBackend();
+  }
+
+  const problems = [];
+  let version;
+  try {
+    version = await backend.version();
+  } catch (e) {
+    if (!(e instanceof StorageError)) throw e;
+    problems.push(e);
+    await backend.replaceAll([]);
+    version = SCHEMA_VERSION;
+  }
+  if (version && version < SCHEMA_VERSION) {
+    await backend.replaceAll((await backend.list()).map((r) => migrateRow(r, version)));
+  }
+  const legacy = takeLegacyRows(backend.name);
+  problems.push(...legacy.problems);
+  if (legacy.found) {
+    if (legacy.rows.length) await backend.addMany(legacy.rows);
+    forgetLegacy(backend.name);
+  }
+
+  const store = {
+    backend: backend.name,
+    list: () => backend.list(),
+    add: (row) => backend.addMany([row]),
+    replaceAll: (rows) => backend.replaceAll(rows),
+    // With a class code only that class's rows go; otherwise everything does
+    async clear(classCode = null) {
+      const keep = classCode
+        ? (await backend.list()).filter((r) => normalizeClassCode(String(r.classCode ?? "")) !== classCode)
+        : [];
+      await backend.replaceAll(keep);
+    },
+  };
+  return { store, problems };
+}
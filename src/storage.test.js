@@ -0,0 +1,49 @@
+import { describe, expect, it } from "vitest";
+import { MTC_QUESTION_MS } from "./mtc.js";
+import { SCHEMA_VERSION, migrateRow } from "./storage.js";
+
+const base = { timestamp: "2026-03-02T10:00:00.000Z", name: "Sam", classCode: "4B", correct: 12, events: [] };
+
+// one row as each schema version stored it
+const V1 = { ...base, mode: "Timed (60s)", selectedTables: "2 3" };
+const V2 = { ...base, mode: "Practice (fixed questions)", assignmentId: "", strategy: "Adaptive", questionTypes: "multiply divide", factorA: "tables 6", factorB: "range 1-12" };
+const V3 = { ...V2, mode: "MTC practice check", inputMode: "Number pad" };
+const V4 = { ...V3, mode: "Timed (120s)", studentId: "stu_1" };
+
+describe("migrateRow", () => {
+  it("brings a v1 row all the way up", () => {
+    const row = migrateRow(V1, 1);
+    expect(row).toMatchObject({
+      factorA: "tables 2 3",
+      factorB: "range 1-12",
+      strategy: "Random",
+      questionTypes: "multiply",
+      inputMode: "Keyboard",
+      studentId: "",
+      modeType: "timed",
+      timeLimitMs: 60000,
+      questionLimitMs: 0,
+    });
+    expect(row).not.toHaveProperty("selectedTables");
+    expect(row).not.toHaveProperty("mode");
+  });
+
+  it("leaves a current row alone", () => {
+    const current = migrateRow(V1, 1);
+    expect(migrateRow(current, SCHEMA_VERSION)).toBe(current);
+  });
+
+  it("treats rows from before input modes as typed, keeping their settings", () => {
+    expect(migrateRow(V2, 2)).toMatchObject({ strategy: "Adaptive", factorA: "tables 6", inputMode: "Keyboard" });
+  });
+
+  it("gives rows from before rosters an empty student id", () => {
+    expect(migrateRow(V3, 3)).toMatchObject({ inputMode: "Number pad", studentId: "" });
+  });
+
+  it("turns a mode label into mode fields", () => {
+    expect(migrateRow(V4, 4)).toMatchObject({ studentId: "stu_1", modeType: "timed", timeLimitMs: 120000, questionLimitMs: 0 });
+    expect(migrateRow(V3, 3)).toMatchObject({ modeType: "mtc", timeLimitMs: 0, questionLimitMs: MTC_QUESTION_MS });
+    expect(migrateRow(V2, 2)).toMatchObject({ modeType: "practice", timeLimitMs: 0 });
+  });
+});
@@ -0,0 +1,94 @@
+// --- Optional sync to the results service (see server/) ---
+// Results are always saved locally first. When a server URL is set, each result
+// also goes into a persistent outbox that is flushed in order whenever the
+// device is online; a failed send stays queued and is retried later.
+const SYNC_CONFIG_KEY = "multitest_sync_v1";
+const OUTBOX_KEY = "multitest_outbox_v1";
+export const RETRY_MS = 60 * 1000;
+
+function readJSON(key, fallback) {
+  try {
+    return JSON.parse(localStorage.getItem(key) || "null") ?? fallback;
+  } catch {
+    return fallback;
+  }
+}
+
+export function getSyncConfig() {
+  return { url: import.meta.env?.VITE_SYNC_URL || "", token: "", ...readJSON(SYNC_CONFIG_KEY, {}) };
+}
+
+export function setSyncConfig(config) {
+  localStorage.setItem(SYNC_CONFIG_KEY, JSON.stringify({ url: config.url.trim().replace(/\/+$/, ""), token: config.token.trim() }));
+}
+
+export const listOutbox = () => readJSON(OUTBOX_KEY, []);
+
+// A full or blocked localStorage must not break saving a result, so failures come back as a message
+function writeOutbox(items) {
+  try {
+    localStorage.setItem(OUTBOX_KEY, JSON.stringify(items));
+    return "";
+  } catch {
+    return "Couldn’t update the queue of results to send – this device’s storage may be full.";
+  }
+}
+
+// crypto.randomUUID is missing on plain-http LAN pages, so fall back to time + random
+const newId = () =>
+  globalThis.crypto?.randomUUID?.() ?? `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+
+// No server configured means local-only: nothing is queued. Returns an error message, or "" when queued.
+export function queueForSync(result) {
+  if (!getSyncConfig().url) return "";
+  return writeOutbox([...listOutbox(), { id: newId(), result, tries: 0, lastError: "" }]);
+}
+
+let flushing = null;
+
+// Sends queued results oldest first and stops at the first failure so order is kept.
+// Resolves to { sent, pending, error }.
+export function flushOutbox() {
+  if (flushing) return flushing;
+  flushing = (async () => {
+    const { url, token } = getSyncConfig();
+    let sent = 0;
+    let error = "";
+    if (url && navigator.onLine !== false) {
+      for (const item of listOutbox()) {
+        try {
+          const res = await fetch(`${url}/api/results`, {
+            method: "POST",
+            headers: { "Content-Type": "application/json", ...(token ? { Authorization: `Bearer ${token}` } : {}) },
+            body: JSON.stringify({ id: item.id, result: item.result }),
+          });
+          if (!res.ok) throw new Error(`Server replied ${res.status}`);
+          sent += 1;
+          // still queued, but the server ignores a repeated id, so stop and send it again later
+          error = writeOutbox(listOutbox().filter((x) => x.id !== item.id));
+          if (error) break;
+        } catch (e) {
+          error = e.message || "Network error";
+          writeOutbox(listOutbox().map((x) => (x.id === item.id ? { ...x, tries: x.tries + 1, lastError: error } : x)));
+          break;
+        }
+      }
+    }
+    return { sent, pending: listOutbox().length, error };
+  })().finally(() => {
+    flushing = null;
+  });
+  return flushing;
+}
+
+// Flush now, whenever the browser comes back online, and every RETRY_MS. Returns a cleanup.
+export function startOutbox(onStatus = () => {}) {
+  const run = () => flushOutbox().then(onStatus);
+  run();
+  window.addEventListener("online", run);
+  const timer = setInterval(run, RETRY_MS);
+  return () => {
+    window.removeEventListener("online", run);
+    clearInterval(timer);
+  };
+}
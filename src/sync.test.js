@@ -0,0 +1,82 @@
+import { beforeEach, describe, expect, it, vi } from "vitest";
+import { flushOutbox, listOutbox, queueForSync, setSyncConfig } from "./sync.js";
+
+beforeEach(() => {
+  const data = new Map();
+  vi.stubGlobal("localStorage", {
+    getItem: (k) => data.get(k) ?? null,
+    setItem: (k, v) => data.set(k, String(v)),
+    removeItem: (k) => data.delete(k),
+  });
+  vi.stubGlobal("navigator", { onLine: true });
+  setSyncConfig({ url: "http://sync.test/", token: "" });
+});
+
+describe("queueForSync", () => {
+  it("queues nothing without a server", () => {
+    setSyncConfig({ url: "", token: "" });
+    expect(queueForSync({ name: "Sam" })).toBe("");
+    expect(listOutbox()).toEqual([]);
+  });
+
+  it("reports an outbox that can’t be written instead of throwing", () => {
+    localStorage.setItem = () => {
+      throw new DOMException("full", "QuotaExceededError");
+    };
+    expect(queueForSync({ name: "Sam" })).toMatch(/storage may be full/);
+    expect(listOutbox()).toEqual([]);
+  });
+
+  it("keeps a sent result queued when it can’t be removed, and says so", async () => {
+    queueForSync({ name: "Sam" });
+    vi.stubGlobal("fetch", vi.fn(async () => ({ ok: true })));
+    localStorage.setItem = () => {
+      throw new DOMException("full", "QuotaExceededError");
+    };
+    const status = await flushOutbox();
+    expect(status).toMatchObject({ sent: 1, pending: 1 });
+    expect(status.error).toMatch(/storage may be full/);
+  });
+});
+
+describe("flushOutbox", () => {
+  it("keeps a failed send queued with its error and retries it next time", async () => {
+    queueForSync({ name: "Sam" });
+    vi.stubGlobal("fetch", vi.fn(async () => ({ ok: false, status: 503 })));
+    expect(await flushOutbox()).toEqual({ sent: 0, pending: 1, error: "Server replied 503" });
+    expect(listOutbox()[0]).toMatchObject({ tries: 1, lastError: "Server replied 503" });
+
+    vi.stubGlobal("fetch", vi.fn(async () => ({ ok: true })));
+    expect(await flushOutbox()).toEqual({ sent: 1, pending: 0, error: "" });
+  });
+
+  it("resends under the same id so the server can drop repeats", async () => {
+    queueForSync({ name: "Sam" });
+    const { id } = listOutbox()[0];
+    const fetch = vi.fn(async () => ({ ok: false, status: 500 }));
+    vi.stubGlobal("fetch", fetch);
+    await flushOutbox();
+    fetch.mockImplementation(async () => ({ ok: true }));
+    await flushOutbox();
+    expect(fetch.mock.calls.map(([, init]) => JSON.parse(init.body).id)).toEqual([id, id]);
+  });
+
+  it("sends in order and stops at the first failure", async () => {
+    queueForSync({ name: "Ava" });
+    queueForSync({ name: "Ben" });
+    const fetch = vi.fn(async () => ({ ok: false, status: 500 }));
+    vi.stubGlobal("fetch", fetch);
+    expect(await flushOutbox()).toMatchObject({ sent: 0, pending: 2 });
+    expect(fetch).toHaveBeenCalledTimes(1);
+    expect(JSON.parse(fetch.mock.calls[0][1].body).result.name).toBe("Ava");
+  });
+
+  it("shares one run between overlapping calls", async () => {
+    queueForSync({ name: "Sam" });
+    const fetch = vi.fn(async () => ({ ok: true }));
+    vi.stubGlobal("fetch", fetch);
+    const [a, b] = await Promise.all([flushOutbox(), flushOutbox()]);
+    expect(a).toBe(b);
+    expect(fetch).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,110 @@
+// --- Local teacher accounts ---
+// PINs are never stored: only a PBKDF2 hash with a random per-account salt.
+// The main account ("*") sees every class; class accounts see only their class.
+// After MAX_FAILURES wrong PINs in a row the panel is locked for LOCKOUT_MS.
+import { normalizeClassCode } from "./assignments.js";
+
+const AUTH_KEY = "multitest_teacher_auth_v1";
+export const MAIN_SCOPE = "*";
+export const MIN_PIN_LENGTH = 4;
+export const MAX_FAILURES = 5;
+export const LOCKOUT_MS = 5 * 60 * 1000;
+const ITERATIONS = 150000;
+
+export class TeacherAuthError extends Error {}
+
+function readAuth() {
+  try {
+    const v = JSON.parse(localStorage.getItem(AUTH_KEY) || "null");
+    return v && v.accounts ? v : { accounts: {}, failures: 0, lockedUntil: 0 };
+  } catch {
+    return { accounts: {}, failures: 0, lockedUntil: 0 };
+  }
+}
+
+function writeAuth(auth) {
+  localStorage.setItem(AUTH_KEY, JSON.stringify(auth));
+}
+
+const toHex = (buf) => Array.from(new Uint8Array(buf), (b) => b.toString(16).padStart(2, "0")).join("");
+const fromHex = (hex) => new Uint8Array(hex.match(/../g).map((h) => parseInt(h, 16)));
+
+function subtle() {
+  // crypto.subtle only exists on https:// or localhost pages
+  if (!globalThis.crypto?.subtle) {
+    throw new TeacherAuthError("Teacher accounts need this page to be opened over https or on localhost.");
+  }
+  return globalThis.crypto.subtle;
+}
+
+async function hashPin(pin, saltHex, iterations = ITERATIONS) {
+  const s = subtle();
+  const key = await s.importKey("raw", new TextEncoder().encode(pin), "PBKDF2", false, ["deriveBits"]);
+  const bits = await s.deriveBits({ name: "PBKDF2", hash: "SHA-256", salt: fromHex(saltHex), iterations }, key, 256);
+  return toHex(bits);
+}
+
+// constant-time compare so a wrong PIN can't be guessed from timing
+function sameHash(a, b) {
+  if (a.length !== b.length) return false;
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  return diff === 0;
+}
+
+const scopeKey = (scope) => (scope === MAIN_SCOPE ? MAIN_SCOPE : normalizeClassCode(scope));
+
+export const hasMainAccount = () => Boolean(readAuth().accounts[MAIN_SCOPE]);
+
+export const listClassAccounts = () => Object.keys(readAuth().accounts).filter((k) => k !== MAIN_SCOPE);
+
+export async function setPin(scope, pin) {
+  if (pin.length < MIN_PIN_LENGTH) throw new TeacherAuthError(`PIN must be at least ${MIN_PIN_LENGTH} characters.`);
+  const salt = toHex(globalThis.crypto.getRandomValues(new Uint8Array(16)));
+  const hash = await hashPin(pin, salt);
+  const auth = readAuth();
+  auth.accounts[scopeKey(scope)] = { salt, hash, iterations: ITERATIONS };
+  writeAuth(auth);
+}
+
+export function removeClassAccount(classCode) {
+  const auth = readAuth();
+  delete auth.accounts[scopeKey(classCode)];
+  writeAuth(auth);
+}
+
+export function lockedUntil(now = Date.now()) {
+  const { lockedUntil: until } = readAuth();
+  return until > now ? until : 0;
+}
+
+async function matches(account, pin) {
+  return Boolean(account) && sameHash(await hashPin(pin, account.salt, account.iterations), account.hash);
+}
+
+// Resolves to the scope the PIN unlocks; throws TeacherAuthError on a wrong PIN or lockout
+export async function unlock(pin, classCode = "", now = Date.now()) {
+  if (lockedUntil(now)) throw new TeacherAuthError("Too many wrong PINs. Try again in a few minutes.");
+  const auth = readAuth();
+  let scope = null;
+  if (await matches(auth.accounts[MAIN_SCOPE], pin)) scope = MAIN_SCOPE;
+  else if (classCode.trim() && (await matches(auth.accounts[scopeKey(classCode)], pin))) scope = scopeKey(classCode);
+
+  if (scope) {
+    writeAuth({ ...auth, failures: 0, lockedUntil: 0 });
+    return scope;
+  }
+  const failures = (auth.failures || 0) + 1;
+  const locked = failures >= MAX_FAILURES;
+  writeAuth({ ...auth, failures: locked ? 0 : failures, lockedUntil: locked ? now + LOCKOUT_MS : 0 });
+  throw new TeacherAuthError(
+    locked ? "Too many wrong PINs. The teacher panel is locked for 5 minutes." : `Wrong PIN. ${MAX_FAILURES - failures} tries left.`
+  );
+}
+
+// Re-check the PIN for a destructive action within an unlocked scope
+export async function confirmPin(scope, pin) {
+  const got = await unlock(pin, scope === MAIN_SCOPE ? "" : scope);
+  if (got !== MAIN_SCOPE && got !== scope) throw new TeacherAuthError("That PIN is for a different class.");
+  return got;
+}
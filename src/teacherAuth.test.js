@@ -0,0 +1,48 @@
+import { beforeEach, describe, expect, it, vi } from "vitest";
+import { LOCKOUT_MS, MAIN_SCOPE, MAX_FAILURES, TeacherAuthError, confirmPin, lockedUntil, setPin, unlock } from "./teacherAuth.js";
+
+// accounts live in localStorage; a Map stands in for it here
+beforeEach(async () => {
+  const data = new Map();
+  vi.stubGlobal("localStorage", {
+    getItem: (k) => data.get(k) ?? null,
+    setItem: (k, v) => data.set(k, String(v)),
+    removeItem: (k) => data.delete(k),
+  });
+  await setPin(MAIN_SCOPE, "2468");
+});
+
+async function failTimes(n, now) {
+  for (let i = 0; i < n; i++) await expect(unlock("0000", "", now)).rejects.toThrow(TeacherAuthError);
+}
+
+describe("unlock", () => {
+  it("opens the main scope or a class scope by PIN", async () => {
+    await setPin("4b", "1357");
+    expect(await unlock("2468")).toBe(MAIN_SCOPE);
+    expect(await unlock("1357", " 4B ")).toBe("4B");
+    await expect(confirmPin("5C", "1357")).rejects.toThrow(TeacherAuthError);
+  });
+
+  it("locks after MAX_FAILURES wrong PINs, even for the right one", async () => {
+    await failTimes(MAX_FAILURES - 1, 1000);
+    expect(lockedUntil(1000)).toBe(0);
+    await failTimes(1, 1000);
+    expect(lockedUntil(1000)).toBe(1000 + LOCKOUT_MS);
+    await expect(unlock("2468", "", 2000)).rejects.toThrow(/Too many wrong PINs/);
+  });
+
+  it("lets the right PIN in again once the lockout expires", async () => {
+    await failTimes(MAX_FAILURES, 1000);
+    const later = 1000 + LOCKOUT_MS;
+    expect(lockedUntil(later)).toBe(0);
+    expect(await unlock("2468", "", later)).toBe(MAIN_SCOPE);
+  });
+
+  it("forgets earlier failures after a right PIN", async () => {
+    await failTimes(MAX_FAILURES - 1, 1000);
+    await unlock("2468", "", 1000);
+    await failTimes(MAX_FAILURES - 1, 1000);
+    expect(lockedUntil(1000)).toBe(0);
+  });
+});
@@ -0,0 +1,85 @@
+// --- Utility helpers ---
+export const nowISO = () => new Date().toISOString();
+export const clamp = (n, a, b) => Math.max(a, Math.min(n, b));
+
+// `rand` defaults to Math.random; the quiz engine passes its seeded generator
+export function shuffle(array, rand = Math.random) {
+  const a = [...array];
+  for (let i = a.length - 1; i > 0; i--) {
+    const j = Math.floor(rand() * (i + 1));
+    [a[i], a[j]] = [a[j], a[i]];
+  }
+  return a;
+}
+
+// Local calendar day as YYYY-MM-DD (what date inputs give), not the UTC date
+export function dayStamp(ms) {
+  const d = new Date(ms);
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, "0")}-${String(d.getDate()).padStart(2, "0")}`;
+}
+
+export function formatMs(ms) {
+  if (ms == null) return "—"; // em dash OK in modern bundlers
+  const s = ms / 1000;
+  return s < 60 ? `${s.toFixed(1)}s` : `${Math.floor(s / 60)}:${String(Math.floor(s % 60)).padStart(2, "0")}`;
+}
+
+export function toCSV(rows) {
+  // RFC-4180 style: quote any field containing comma, quote, or newline; double internal quotes
+  if (!rows?.length) return "";
+  const headers = Object.keys(rows[0]);
+  const esc = (v) => {
+    const s = String(v ?? "");
+    if (/[",\n]/.test(s)) return '"' + s.replaceAll('"', '""') + '"';
+    return s;
+  };
+  const lines = [headers.join(","), ...rows.map((r) => headers.map((h) => esc(r[h])).join(","))];
+  return lines.join("\n");
+}
+
+export function parseCSV(text) {
+  // RFC-4180 reader matching toCSV: quoted fields may hold commas, newlines and doubled quotes.
+  // Returns an array of records (arrays of strings); throws on an unterminated quote.
+  const src = text.replace(/^\uFEFF/, "");
+  const records = [];
+  let record = [];
+  let field = "";
+  let inQuotes = false;
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (inQuotes) {
+      if (ch === '"' && src[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') inQuotes = false;
+      else field += ch;
+    } else if (ch === '"' && field === "") inQuotes = true;
+    else if (ch === ",") {
+      record.push(field);
+      field = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && src[i + 1] === "\n") i++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = "";
+    } else field += ch;
+  }
+  if (inQuotes) throw new Error("Unterminated quoted field");
+  if (field !== "" || record.length) {
+    record.push(field);
+    records.push(record);
+  }
+  // blank lines carry no data
+  return records.filter((r) => !(r.length === 1 && r[0] === ""));
+}
+
+export function downloadText(filename, text, type) {
+  const blob = new Blob([text], { type });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  a.click();
+  URL.revokeObjectURL(url);
+}
@@ -0,0 +1,52 @@
+import { describe, expect, it } from "vitest";
+import { dayStamp, parseCSV, toCSV } from "./utils.js";
+
+describe("toCSV", () => {
+  it.each([
+    ["empty rows", [], ""],
+    ["plain values", [{ a: 1, b: 2 }], "a,b\n1,2"],
+    ["a comma in a field", [{ a: "1,2", b: "x" }], 'a,b\n"1,2",x'],
+    ["a quote in a field", [{ a: 'He said "hi"', b: 3 }], 'a,b\n"He said ""hi""",3'],
+    ["a newline in a field", [{ a: "line1\nline2", b: "z" }], 'a,b\n"line1\nline2",z'],
+    ["null and undefined", [{ a: null, b: undefined }], "a,b\n,"],
+    ["comma, quote and newline together", [{ a: 'x,"y"\nZ', b: "w" }], 'a,b\n"x,""y""\nZ",w'],
+    ["emoji and maths signs, unquoted", [{ a: "👍", b: "7 × 8" }], "a,b\n👍,7 × 8"],
+  ])("handles %s", (_, rows, expected) => {
+    expect(toCSV(rows)).toBe(expected);
+  });
+});
+
+describe("parseCSV", () => {
+  it.each([
+    { a: "1,2", b: "x" },
+    { a: 'He said "hi"', b: 3 },
+    { a: "line1\nline2", b: "z" },
+    { a: 'x,"y"\nZ', b: "w" },
+    { a: "", b: "👍 7 × 8" },
+  ])("reads back what toCSV writes: %j", (row) => {
+    expect(parseCSV(toCSV([row]))).toEqual([
+      ["a", "b"],
+      [row.a, String(row.b)],
+    ]);
+  });
+
+  it("accepts CRLF line endings and skips blank lines", () => {
+    expect(parseCSV("a,b\r\n1,2\r\n")).toEqual([["a", "b"], ["1", "2"]]);
+    expect(parseCSV("a,b\n\n1,2\n")).toEqual([["a", "b"], ["1", "2"]]);
+  });
+
+  it("keeps a quoted empty field", () => {
+    expect(parseCSV('a,b\n"",2')).toEqual([["a", "b"], ["", "2"]]);
+  });
+
+  it("rejects an unterminated quote", () => {
+    expect(() => parseCSV('a,b\n"oops,2')).toThrow();
+  });
+});
+
+describe("dayStamp", () => {
+  it("gives the local calendar day, even just after midnight", () => {
+    expect(dayStamp(new Date(2026, 2, 3, 0, 30).getTime())).toBe("2026-03-03");
+    expect(dayStamp(new Date(2026, 11, 31, 23, 59).getTime())).toBe("2026-12-31");
+  });
+});
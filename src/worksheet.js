@@ -0,0 +1,51 @@
+// --- Printable worksheets ---
+// A sheet is dealt from a question pool with the same seeded deck as the quiz,
+// so printing the same code with the same source and settings gives the same sheet.
+import { NUMBER_SETS, NUMBER_SET_LABELS } from "./numberSets.js";
+import { makeQuestionPool } from "./quizEngine.js";
+import { QUESTION_TYPES, QUESTION_TYPE_OPTIONS, formatQuestion, makeQuestion } from "./questionTypes.js";
+import { makeRng } from "./random.js";
+import { shuffle } from "./utils.js";
+
+export const WORKSHEET_SOURCES = {
+  SETTINGS: "Chosen numbers",
+  MISSED: "Missed this session",
+  MASTERY: "Tricky facts from past sessions",
+};
+
+export const WORKSHEET_SIZES = {
+  LARGE: { label: "Large (KS1)", pt: 20 },
+  MEDIUM: { label: "Medium", pt: 15 },
+  SMALL: { label: "Small (upper KS2)", pt: 12 },
+};
+
+// Missed and tricky facts are plain a × b questions
+export const factQuestions = (facts) => facts.map((f) => makeQuestion(f.a, f.b, QUESTION_TYPES.MULTIPLY));
+
+// `count` questions off a seeded deck of `pool`, reshuffled whenever it runs out
+export function dealWorksheet(pool, count, seed) {
+  const rand = makeRng(seed);
+  const out = [];
+  let deck = [];
+  while (out.length < count && pool.length) {
+    if (!deck.length) deck = shuffle(pool, rand);
+    out.push(deck.shift());
+  }
+  return out;
+}
+
+// Built in a fixed order: dealWorksheet does the seeded shuffling
+export function settingsPool({ aValues, bValues, questionTypes }) {
+  return makeQuestionPool(aValues, bValues, null, questionTypes, () => 0);
+}
+
+// The settings card in its own words, so a sheet's footer is enough to set it up again
+export function settingsDescription({ factorA, factorB, tables, questionTypes }) {
+  const factor = (f, list = []) =>
+    NUMBER_SET_LABELS[f.set] + (f.set === NUMBER_SETS.TABLES ? ` ${list.join(", ")}` : f.set === NUMBER_SETS.RANGE ? ` ${f.min}–${f.max}` : "");
+  const types = QUESTION_TYPE_OPTIONS.filter((o) => o.types.some((t) => questionTypes.includes(t))).map((o) => o.label.replace(/ \(.*$/, ""));
+  return `First number: ${factor(factorA, tables)} · Second number: ${factor(factorB)} · ${types.join(", ")}`;
+}
+
+// The question as printed, with a gap to write in instead of "?"
+export const worksheetText = (q) => formatQuestion(q).replace("?", "______");
@@ -0,0 +1,40 @@
+import { describe, expect, it } from "vitest";
+import { QUESTION_TYPES, makeQuestion } from "./questionTypes.js";
+import { NUMBER_SETS } from "./numberSets.js";
+import { dealWorksheet, factQuestions, settingsDescription, settingsPool, worksheetText } from "./worksheet.js";
+
+const settings = { aValues: [3, 4], bValues: [1, 2, 3, 4, 5, 6], questionTypes: [QUESTION_TYPES.MULTIPLY] };
+
+describe("dealWorksheet", () => {
+  it("prints the same sheet for the same seed", () => {
+    expect(dealWorksheet(settingsPool(settings), 20, 5)).toEqual(dealWorksheet(settingsPool(settings), 20, 5));
+    expect(dealWorksheet(settingsPool(settings), 20, 5)).not.toEqual(dealWorksheet(settingsPool(settings), 20, 6));
+  });
+
+  it("uses every fact before repeating and fills the requested count", () => {
+    const sheet = dealWorksheet(settingsPool(settings), 30, 1);
+    expect(sheet).toHaveLength(30);
+    expect(new Set(sheet.slice(0, 12).map((q) => `${q.a}x${q.b}`)).size).toBe(12);
+  });
+
+  it("builds sheets from a list of facts", () => {
+    const sheet = dealWorksheet(factQuestions([{ a: 7, b: 8 }]), 3, 1);
+    expect(sheet.map(worksheetText)).toEqual(["7 × 8 = ______", "7 × 8 = ______", "7 × 8 = ______"]);
+  });
+
+  it("leaves the gap where the answer goes", () => {
+    expect(worksheetText(makeQuestion(7, 8, QUESTION_TYPES.MISSING_A))).toBe("______ × 8 = 56");
+  });
+});
+
+describe("settingsDescription", () => {
+  it("names both factor sets and every question type", () => {
+    const described = settingsDescription({
+      factorA: { set: NUMBER_SETS.TABLES },
+      factorB: { set: NUMBER_SETS.RANGE, min: 1, max: 12 },
+      tables: [3, 4],
+      questionTypes: [QUESTION_TYPES.DIVIDE, QUESTION_TYPES.MISSING_A, QUESTION_TYPES.MISSING_B],
+    });
+    expect(described).toBe("First number: Times tables 3, 4 · Second number: Range 1–12 · Divide, Missing factor");
+  });
+});